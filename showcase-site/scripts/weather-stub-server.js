@@ -0,0 +1,79 @@
+// Serves the recorded weather fixtures over OpenWeather's current weather and forecast APIs, for
+// developing the weather widget offline or against a predictable backend:
+//
+//   npm run weather:stub
+//   VITE_OPENWEATHER_ENDPOINT=http://localhost:8787/data/2.5 VITE_OPENWEATHER_API_KEY=stub npm run dev
+import { createServer } from "node:http";
+import { readdir, readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+
+const FIXTURES = fileURLToPath(new URL("../src/widgets/weather/fixtures/", import.meta.url));
+const PORT = Number(process.env.WEATHER_STUB_PORT) || 8787;
+
+const fixtureKey = (city) => city.trim().toLowerCase().replace(/\s+/g, "-");
+
+const send = (response, status, body) => {
+  response.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+  });
+  response.end(JSON.stringify(body));
+};
+
+// Recorded forecasts are moved forward so they always start at the next 3-hour step
+const THREE_HOURS = 3 * 60 * 60;
+
+const rebaseForecast = (data) => {
+  const shift = Math.ceil(Date.now() / 1000 / THREE_HOURS) * THREE_HOURS - data.list[0].dt;
+  return {
+    ...data,
+    list: data.list.map((entry) => ({
+      ...entry,
+      dt: entry.dt + shift,
+      dt_txt: new Date((entry.dt + shift) * 1000).toISOString().replace("T", " ").slice(0, 19),
+    })),
+  };
+};
+
+const ROUTES = {
+  "/data/2.5/weather": { directory: "", transform: (data) => data },
+  "/data/2.5/forecast": { directory: "forecast/", transform: rebaseForecast },
+};
+
+// Coordinates are answered with the closest recorded city
+const findClosestCity = async (lat, lon) => {
+  const files = (await readdir(FIXTURES)).filter((file) => file.endsWith(".json"));
+  const cities = await Promise.all(files.map(async (file) => JSON.parse(await readFile(`${FIXTURES}${file}`, "utf8"))));
+  const distance = ({ coord }) => (coord.lat - lat) ** 2 + (coord.lon - lon) ** 2;
+  return cities.reduce((closest, city) => (distance(city) < distance(closest) ? city : closest)).name;
+};
+
+const server = createServer(async (request, response) => {
+  const url = new URL(request.url, `http://localhost:${PORT}`);
+  const route = ROUTES[url.pathname];
+  if (!route) {
+    send(response, 404, { cod: "404", message: "Not found" });
+    return;
+  }
+
+  const lat = Number(url.searchParams.get("lat"));
+  const lon = Number(url.searchParams.get("lon"));
+  const city = url.searchParams.has("lat") ? await findClosestCity(lat, lon) : url.searchParams.get("q") || "";
+  // Also keeps the fixture lookup inside fixtures/
+  if (!/^[\p{L}\s.'-]+$/u.test(city)) {
+    send(response, 400, { cod: "400", message: "Nothing to geocode" });
+    return;
+  }
+
+  try {
+    const data = JSON.parse(await readFile(`${FIXTURES}${route.directory}${fixtureKey(city)}.json`, "utf8"));
+    send(response, 200, route.transform(data));
+  } catch (error) {
+    if (error.code !== "ENOENT") console.error(`Error reading the fixture for ${city}:`, error);
+    send(response, 404, { cod: "404", message: "city not found" });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Weather stub listening on http://localhost:${PORT}/data/2.5`);
+});
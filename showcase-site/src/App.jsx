@@ -1,18 +1,20 @@
 import './App.css'
-import Navbar from './navbar'
+import Navbar from './Navbar'
 import Dropdown from './Dropdown'
 import DropZone from './Dropzone'
+import { useBoards } from './boards'
+import { useBackdrop } from './backdrop'
 
 function App() {
+  const boards = useBoards();
+  // Each board can be laid out over a website, set from the globe button in the board toolbar
+  const [backdrop, setBackdrop] = useBackdrop(boards.activeBoardId);
 
-  // Paste your desired website here, in full https form without the "/" at the end
-  // NOTE: not all websites work. Websites protected under CSP cannot be embedded
-  let MyUrl = "";
-  if (MyUrl){
+  if (backdrop.mode !== 'none'){
     return (
       <div className="App">
-        <Navbar />
-        <DropZone url={MyUrl}/>
+        <Navbar boards={boards} />
+        <DropZone boardId={boards.activeBoardId} backdrop={backdrop} onBackdropChange={setBackdrop}/>
       </div>
     )
   }
@@ -20,7 +22,7 @@ function App() {
 
   return (
     <div className="App" style={{ backgroundImage: 'url(/stars.png)', height: '100vh' }}>
-        <Navbar />
+        <Navbar boards={boards} />
         <div className="relative text-center mt-10">
           <h1 className="outline-text">
             SHOWCASE
@@ -29,7 +31,7 @@ function App() {
             Hackiethon Widget Showcase
           </h2>
         </div>
-        <DropZone/>
+        <DropZone boardId={boards.activeBoardId} backdrop={backdrop} onBackdropChange={setBackdrop}/>
     </div>
   )
 }
@@ -0,0 +1,159 @@
+import { useState } from 'react';
+import { X } from 'lucide-react';
+import { normalizeUrl } from './backdrop';
+import { checkFrameable } from './frameCheck';
+
+const inputClass = 'w-full border border-gray-300 rounded px-2 py-1 text-sm text-black bg-white';
+
+const MODE_LABELS = {
+    none: 'Showcase page',
+    page: 'Live website',
+    screenshot: 'Screenshot',
+    blank: 'Blank page'
+};
+
+const CHECK_COLORS = {
+    allowed: 'text-green-700',
+    blocked: 'text-red-600',
+    unknown: 'text-amber-700'
+};
+
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+});
+
+// Form for what the active board is laid out over. Changes are only applied on Save.
+const BackdropSettings = ({ backdrop, onSave, onClose }) => {
+    const [draft, setDraft] = useState(backdrop);
+    const [urlInput, setUrlInput] = useState(backdrop.url);
+    const [frameCheck, setFrameCheck] = useState(null);
+    const [checking, setChecking] = useState(false);
+    const [error, setError] = useState('');
+
+    const update = (changes) => setDraft((prev) => ({ ...prev, ...changes }));
+
+    const handleCheck = async () => {
+        const url = normalizeUrl(urlInput);
+        if (!url) {
+            setError('Enter a full website address, like https://example.com');
+            return;
+        }
+        setError('');
+        setChecking(true);
+        setFrameCheck(await checkFrameable(url));
+        setChecking(false);
+    };
+
+    const handleScreenshot = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+        try {
+            update({ screenshot: await readAsDataUrl(file), mode: 'screenshot' });
+        } catch (readError) {
+            console.error('Error reading screenshot:', readError);
+            setError('That image couldn\'t be read.');
+        }
+    };
+
+    const handleSubmit = (event) => {
+        event.preventDefault();
+        const url = urlInput.trim() ? normalizeUrl(urlInput) : '';
+        if (url === null) {
+            setError('Enter a full website address, like https://example.com');
+            return;
+        }
+        if (draft.mode === 'page' && !url) {
+            setError('A live website needs an address.');
+            return;
+        }
+        if (draft.mode === 'screenshot' && !draft.screenshot) {
+            setError('Upload a screenshot first.');
+            return;
+        }
+        onSave({ ...draft, url });
+    };
+
+    return (
+        <form
+            className="w-80 p-4 bg-white text-black rounded-xl shadow-xl space-y-3 text-left"
+            onSubmit={handleSubmit}
+            onKeyDown={(e) => e.key === 'Escape' && onClose()}
+        >
+            <div className="flex items-center justify-between">
+                <h3 className="font-semibold">Backdrop</h3>
+                <button type="button" className="p-1 text-gray-500 hover:text-black" onClick={onClose} aria-label="Close backdrop settings">
+                    <X className="w-4 h-4" />
+                </button>
+            </div>
+
+            <div className="space-y-1">
+                <label htmlFor="backdrop-url" className="block text-sm font-medium">Website</label>
+                <div className="flex gap-1">
+                    <input
+                        id="backdrop-url"
+                        type="url"
+                        className={inputClass}
+                        placeholder="https://example.com"
+                        value={urlInput}
+                        onChange={(e) => {
+                            setUrlInput(e.target.value);
+                            setFrameCheck(null);
+                        }}
+                    />
+                    <button
+                        type="button"
+                        className="px-2 py-1 text-sm rounded border border-gray-300 hover:bg-gray-100 disabled:opacity-50"
+                        onClick={handleCheck}
+                        disabled={checking || !urlInput.trim()}
+                    >
+                        {checking ? 'Checking...' : 'Check'}
+                    </button>
+                </div>
+                {frameCheck && <p className={`text-xs ${CHECK_COLORS[frameCheck.status]}`}>{frameCheck.reason}</p>}
+            </div>
+
+            <fieldset className="space-y-1">
+                <legend className="text-sm font-medium">Show</legend>
+                {Object.entries(MODE_LABELS).map(([mode, label]) => (
+                    <label key={mode} className="flex items-center gap-2 text-sm">
+                        <input type="radio" name="backdrop-mode" checked={draft.mode === mode} onChange={() => update({ mode })} />
+                        {label}
+                    </label>
+                ))}
+            </fieldset>
+
+            <div className="space-y-1">
+                <label htmlFor="backdrop-screenshot" className="block text-sm font-medium">Screenshot</label>
+                <input id="backdrop-screenshot" type="file" accept="image/*" className="text-sm" onChange={handleScreenshot} />
+                <p className="text-xs text-gray-500">
+                    Shown when the website can&apos;t be embedded, or when &quot;Screenshot&quot; is picked above.
+                </p>
+                {draft.screenshot && (
+                    <div className="flex items-center gap-2">
+                        <img src={draft.screenshot} alt="" className="h-12 rounded border border-gray-200" />
+                        <button type="button" className="text-xs text-red-600 hover:underline" onClick={() => update({ screenshot: null })}>
+                            Remove
+                        </button>
+                    </div>
+                )}
+            </div>
+
+            {error && <p className="text-xs text-red-600">{error}</p>}
+
+            <div className="flex justify-end gap-2 pt-1">
+                <button type="button" className="px-3 py-1 text-sm rounded hover:bg-gray-100" onClick={onClose}>
+                    Cancel
+                </button>
+                <button type="submit" className="px-3 py-1 text-sm bg-blue-500 text-white rounded hover:bg-blue-600">
+                    Save
+                </button>
+            </div>
+        </form>
+    );
+};
+
+export default BackdropSettings;
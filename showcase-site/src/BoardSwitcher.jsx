@@ -0,0 +1,105 @@
+import { useRef } from 'react';
+import { Copy, Download, Pencil, Plus, Trash2, Upload } from 'lucide-react';
+import { loadBoardLayout } from './boards';
+import { downloadLayout, parseLayoutFile } from './layoutFile';
+import { loadAllWidgets } from './registry';
+
+const BoardSwitcher = ({ boards }) => {
+    const { activeBoard, activeBoardId } = boards;
+    const fileInput = useRef(null);
+
+    const handleCreate = () => {
+        const name = window.prompt('Name for the new board', `Board ${boards.boards.length + 1}`);
+        if (name?.trim()) boards.createBoard(name.trim());
+    };
+
+    const handleRename = () => {
+        const name = window.prompt('Rename board', activeBoard?.name);
+        if (name?.trim()) boards.renameBoard(activeBoardId, name.trim());
+    };
+
+    const handleDelete = () => {
+        if (window.confirm(`Delete "${activeBoard?.name}" and all of its widgets?`)) {
+            boards.deleteBoard(activeBoardId);
+        }
+    };
+
+    const handleExport = () => {
+        downloadLayout(activeBoard, loadBoardLayout(activeBoardId));
+    };
+
+    // Imported layouts always become a new board so nothing on screen is overwritten
+    const handleImport = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            let parsed = parseLayoutFile(text);
+            // Legacy COMPONENTNAME types are only known once the widget modules have loaded
+            if (parsed.unknownTypes.length > 0) {
+                await loadAllWidgets();
+                parsed = parseLayoutFile(text);
+            }
+            const { name, components, unknownTypes } = parsed;
+            boards.createBoard(name, components);
+            if (unknownTypes.length > 0) {
+                window.alert(`Imported "${name}" without these unknown widgets: ${unknownTypes.join(', ')}`);
+            }
+        } catch (error) {
+            console.error('Error importing layout:', error);
+            window.alert(`Could not import ${file.name}: ${error.message}`);
+        }
+    };
+
+    const buttonClass = 'p-2 rounded text-white hover:bg-gray-700 transition-colors disabled:opacity-40 disabled:hover:bg-transparent';
+
+    return (
+        <div className="flex items-center gap-1">
+            <select
+                value={activeBoardId}
+                onChange={(e) => boards.switchBoard(e.target.value)}
+                className="bg-gray-800 text-white rounded px-2 py-1 mr-1"
+                aria-label="Board"
+            >
+                {boards.boards.map((board) => (
+                    <option key={board.id} value={board.id}>{board.name}</option>
+                ))}
+            </select>
+            <button type="button" className={buttonClass} onClick={handleCreate} title="New board">
+                <Plus className="w-4 h-4" />
+            </button>
+            <button type="button" className={buttonClass} onClick={handleRename} title="Rename board">
+                <Pencil className="w-4 h-4" />
+            </button>
+            <button type="button" className={buttonClass} onClick={() => boards.duplicateBoard(activeBoardId)} title="Duplicate board">
+                <Copy className="w-4 h-4" />
+            </button>
+            <button
+                type="button"
+                className={buttonClass}
+                onClick={handleDelete}
+                disabled={boards.boards.length <= 1}
+                title="Delete board"
+            >
+                <Trash2 className="w-4 h-4" />
+            </button>
+            <button type="button" className={buttonClass} onClick={handleExport} title="Export board to a file">
+                <Download className="w-4 h-4" />
+            </button>
+            <button type="button" className={buttonClass} onClick={() => fileInput.current.click()} title="Import board from a file">
+                <Upload className="w-4 h-4" />
+            </button>
+            <input
+                ref={fileInput}
+                type="file"
+                accept="application/json,.json"
+                className="hidden"
+                onChange={handleImport}
+            />
+        </div>
+    );
+};
+
+export default BoardSwitcher;
@@ -0,0 +1,70 @@
+import { useState } from 'react';
+import { Globe, Grid3x3, Redo2, Undo2 } from 'lucide-react';
+import './BoardToolbar.css';
+import BackdropSettings from './BackdropSettings';
+
+const BoardToolbar = ({ settings, onSettingsChange, onUndo, onRedo, canUndo, canRedo, backdrop, onBackdropChange }) => {
+    const [editingBackdrop, setEditingBackdrop] = useState(false);
+
+    return (
+        <div className="board-toolbar">
+            <button type="button" className="board-toolbar__button" onClick={onUndo} disabled={!canUndo} title="Undo (Ctrl+Z)">
+                <Undo2 className="w-4 h-4" />
+            </button>
+            <button type="button" className="board-toolbar__button" onClick={onRedo} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)">
+                <Redo2 className="w-4 h-4" />
+            </button>
+            <button
+                type="button"
+                className={`board-toolbar__button ${settings.gridEnabled ? 'board-toolbar__button--active' : ''}`}
+                onClick={() => onSettingsChange({ ...settings, gridEnabled: !settings.gridEnabled })}
+                aria-pressed={settings.gridEnabled}
+                title="Snap widgets to a grid"
+            >
+                <Grid3x3 className="w-4 h-4" />
+            </button>
+            {settings.gridEnabled && (
+                <label className="board-toolbar__field">
+                    Cell
+                    <input
+                        type="number"
+                        min="5"
+                        max="200"
+                        step="5"
+                        value={settings.gridSize}
+                        onChange={(e) => {
+                            const gridSize = Number(e.target.value);
+                            if (gridSize >= 5) onSettingsChange({ ...settings, gridSize });
+                        }}
+                    />
+                    px
+                </label>
+            )}
+            {onBackdropChange && (
+                <button
+                    type="button"
+                    className={`board-toolbar__button ${backdrop.mode !== 'none' ? 'board-toolbar__button--active' : ''}`}
+                    onClick={() => setEditingBackdrop(!editingBackdrop)}
+                    aria-expanded={editingBackdrop}
+                    title="Lay widgets out over a website"
+                >
+                    <Globe className="w-4 h-4" />
+                </button>
+            )}
+            {editingBackdrop && (
+                <div className="board-toolbar__popover">
+                    <BackdropSettings
+                        backdrop={backdrop}
+                        onSave={(next) => {
+                            onBackdropChange(next);
+                            setEditingBackdrop(false);
+                        }}
+                        onClose={() => setEditingBackdrop(false)}
+                    />
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default BoardToolbar;
@@ -0,0 +1,25 @@
+import { AlertTriangle } from 'lucide-react';
+
+// Diagnostics for widgets the registry skipped, shown at the bottom of the palette
+const BrokenWidgets = ({ widgets }) => {
+  if (widgets.length === 0) return null;
+
+  return (
+    <details className="broken-widgets">
+      <summary className="flex items-center gap-2 cursor-pointer text-sm text-amber-200">
+        <AlertTriangle className="w-4 h-4 shrink-0" />
+        {widgets.length === 1 ? '1 widget' : `${widgets.length} widgets`} couldn&apos;t be loaded
+      </summary>
+      <ul className="mt-2 space-y-1 text-sm">
+        {widgets.map((widget) => (
+          <li key={widget.path}>
+            <code className="text-amber-100">{widget.path.replace(/^\.\//, '')}</code>
+            <span className="text-gray-200">: {widget.message}</span>
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+};
+
+export default BrokenWidgets;
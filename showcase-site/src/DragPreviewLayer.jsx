@@ -0,0 +1,31 @@
+import { useDragLayer } from 'react-dnd';
+import { getManifest } from './registry';
+
+// The touch backend has no native drag image, so draw a stand-in under the finger
+const DragPreviewLayer = () => {
+    const { item, isDragging, offset } = useDragLayer((monitor) => ({
+        item: monitor.getItem(),
+        isDragging: monitor.isDragging(),
+        offset: monitor.getSourceClientOffset()
+    }));
+
+    if (!isDragging || !offset) return null;
+
+    const manifest = getManifest(item?.componentType);
+    const size = item?.size || manifest?.defaultSize || { width: 160, height: 100 };
+
+    return (
+        <div
+            className="fixed top-0 left-0 pointer-events-none z-[100] flex items-center justify-center gap-2 rounded-xl border-2 border-dashed border-blue-400 bg-blue-500/20 text-white font-semibold"
+            style={{
+                width: `${size.width}px`,
+                height: `${size.height}px`,
+                transform: `translate(${offset.x}px, ${offset.y}px)`
+            }}
+        >
+            {manifest && <span>{manifest.icon} {manifest.name}</span>}
+        </div>
+    );
+};
+
+export default DragPreviewLayer;
@@ -1,8 +1,12 @@
+import { useRef } from 'react';
 import { useDrag } from 'react-dnd';
+import './DraggableWrapper.css';
 
-const DraggableWrapper = ({ children, type, itemData, moveType = 'clone' }) => {
+const DraggableWrapper = ({ children, type, itemData, moveType = 'clone', fill = false }) => {
 
-    const componentType = children?.type?.displayName ||
+    // Prefer the registry id handed in by the palette; function names don't survive minification
+    const componentType = itemData?.componentType ||
+                         children?.type?.displayName ||
                          children?.type?.name ||
                          'UnknownComponent';
     
@@ -14,16 +18,20 @@ const DraggableWrapper = ({ children, type, itemData, moveType = 'clone' }) => {
         return acc;
     }, {});
 
+    const node = useRef(null);
+
     const [{ isDragging }, drag] = useDrag({
         type: type,
-        item: {
+        // Resolved when the drag starts so the DropZone knows the footprint it is placing
+        item: () => ({
             ...itemData,
+            size: node.current ? { width: node.current.offsetWidth, height: node.current.offsetHeight } : undefined,
             component: children.type,
-            componentType: componentType || children.type.name.toLowerCase(),
+            componentType,
             props: serializableProps,
             moveType,
             originalProps: children.props // Keep original props for reference
-        },
+        }),
         collect: (monitor) => ({
             isDragging: monitor.isDragging(),
         }), 
@@ -32,16 +40,21 @@ const DraggableWrapper = ({ children, type, itemData, moveType = 'clone' }) => {
 
     return (
         <div
-    ref={drag}
+    ref={(element) => {
+        node.current = element;
+        drag(element);
+    }}
+    className="draggable-wrapper"
     style={{
         opacity: isDragging ? 0.5 : 1,
         cursor: 'move',
         display: (isDragging && moveType === 'move') ? 'none' : 'block',
         boxSizing: 'border-box',
         position: 'relative',
-        width: 'fit-content',
-        height: 'fit-content',
-        overflow: 'visible',
+        // Resized widgets fill the box chosen on the DropZone and scroll if their content doesn't fit
+        width: fill ? '100%' : 'fit-content',
+        height: fill ? '100%' : 'fit-content',
+        overflow: fill ? 'auto' : 'visible',
         flex: 'none',
         // Add dotted border
         //border: '2px dotted #000',
@@ -1,111 +1,167 @@
-import React, { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import './Dropdown.css';
-import DraggableWrapper from './DraggableWrapper';
-import { initializeComponentRegistry } from './registry';
+import PaletteCard from './PaletteCard';
+import BrokenWidgets from './BrokenWidgets';
+import { getBrokenWidgets, subscribeToBrokenWidgets } from './brokenWidgetLog';
+import WidgetErrors from './WidgetErrors';
+import { getWidgetErrors, subscribeToWidgetErrors } from './errorLog';
+import { getRegisteredWidgets, initializeComponentRegistry } from './registry';
+import { requestPlacement } from './boardEvents';
+import { useDragLayer } from 'react-dnd';
+import { isTouchBackend } from './dndBackend';
 
+const ALL_CATEGORIES = 'All';
+
+const matchesSearch = ({ id, manifest }, query) => {
+  if (!query) return true;
+  return [id, manifest.name, manifest.description, manifest.category, manifest.author]
+    .some((text) => text.toLowerCase().includes(query));
+};
 
 const Dropdown = () => {
-  const [isHovered1, setIsHovered1] = useState(false);
-  const [isHovered2, setIsHovered2] = useState(false);
-  const [mainWidgets, setMainWidgets] = useState([]);
-  const [submissionWidgets, setSubmissionWidgets] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [widgets, setWidgets] = useState([]);
+  const [brokenWidgets, setBrokenWidgets] = useState(getBrokenWidgets);
+  const [widgetErrors, setWidgetErrors] = useState(getWidgetErrors);
+  const [search, setSearch] = useState('');
+  const [category, setCategory] = useState(ALL_CATEGORIES);
+  const toggleRef = useRef(null);
 
-  // This effect will listen for drag events and close the dropdown when dragging starts
+  // This effect will listen for drag events and close the palette when dragging starts
   useEffect(() => {
 
     const setup = async () => {
-      // Initialize the component registry -- async to avoid init errors : TODO skip error-causing widgets
+      // Initialize the component registry; widgets that fail to register are reported, not fatal
       await initializeComponentRegistry();
-      
-      // NOTE: USE LITERALS AND NOT VARIABLES FOR PATH NAME -- UPDATE IF FOLDER NAME CHANGES
-      try {
-        // Import all widgets from the main widgets folder
-        const mainWidgetsModules = import.meta.glob('./widgets/*.jsx', { eager: true });
-        const mainWidgetComponents = Object.entries(mainWidgetsModules).map(([path, module]) => {
-          const componentName = path.split('/').pop().replace(/\.jsx$/, '');
-          return {
-            Component: module.default,
-            key: componentName
-          };
-        });
-        setMainWidgets(mainWidgetComponents);
-        
-        // Import all widgets from the submission widgets folder
-        const submissionWidgetsModules = import.meta.glob('./submission-widgets/*.jsx', { eager: true });
-        const submissionWidgetComponents = Object.entries(submissionWidgetsModules).map(([path, module]) => {
-          const componentName = path.split('/').pop().replace(/\.jsx$/, '');
-          return {
-            Component: module.default,
-            key: componentName
-          };
-        });
-        setSubmissionWidgets(submissionWidgetComponents);
-      } catch (error) {
-        console.error('Error importing widgets:', error);
-      }
+      setWidgets(getRegisteredWidgets());
     }
 
     setup()
     const handleDragEnter = () => {
-      setIsHovered1(false); // Close the dropdown when drag enters anywhere\
-      setIsHovered2(false);
-    };
-    
-
-    const handleDragLeave = () => {
-      // Doesnt do anything
+      setIsOpen(false); // Close the palette when drag enters anywhere
     };
 
     const handleDragEnd = () => {
-      setIsHovered1(false); // Close the dropdown after the drag ends
-      setIsHovered2(false);
+      setIsOpen(false); // Close the palette after the drag ends
     };
 
     // Add event listeners for drag events
     document.addEventListener('dragenter', handleDragEnter);
-    document.addEventListener('dragleave', handleDragLeave);
     document.addEventListener('dragend', handleDragEnd);
 
     // Clean up the event listeners when the component unmounts
     return () => {
       document.removeEventListener('dragenter', handleDragEnter);
-      document.removeEventListener('dragleave', handleDragLeave);
       document.removeEventListener('dragend', handleDragEnd);
     };
   }, []);
 
+  useEffect(() => subscribeToBrokenWidgets(setBrokenWidgets), []);
+  useEffect(() => subscribeToWidgetErrors(setWidgetErrors), []);
+
+  // The touch backend doesn't fire the native drag events above, so close the palette from the drag state
+  const isDragging = useDragLayer((monitor) => monitor.isDragging());
+  useEffect(() => {
+    if (isTouchBackend && isDragging) setIsOpen(false);
+  }, [isDragging]);
+
+  const categories = useMemo(() => (
+    [ALL_CATEGORIES, ...new Set(widgets.map((widget) => widget.manifest.category).sort())]
+  ), [widgets]);
+
+  const visibleWidgets = useMemo(() => {
+    const query = search.trim().toLowerCase();
+    // Widgets whose code turned out to be broken once loaded are dropped from the palette
+    const brokenIds = new Set(brokenWidgets.map((broken) => broken.id));
+    return widgets.filter((widget) => (
+      !brokenIds.has(widget.id) &&
+      (category === ALL_CATEGORIES || widget.manifest.category === category) &&
+      matchesSearch(widget, query)
+    ));
+  }, [widgets, brokenWidgets, search, category]);
+
+  const placeWidget = (id) => {
+    requestPlacement(id);
+    setIsOpen(false);
+  };
+
+  // The palette opens on hover, or from its toggle button for keyboard users; it closes once focus leaves it
+  const handleBlur = (event) => {
+    if (!event.currentTarget.contains(event.relatedTarget)) setIsOpen(false);
+  };
+
+  // Keep the palette open while the mouse wanders off mid-search
+  const handleMouseLeave = (event) => {
+    // getRootNode() rather than document, which only sees the host element when mounted in a shadow root
+    if (!event.currentTarget.contains(event.currentTarget.getRootNode().activeElement)) setIsOpen(false);
+  };
+
+  const handleKeyDown = (event) => {
+    // Mouse users already get the palette on hover, so only the keyboard toggles it
+    if (event.target === toggleRef.current && ['Enter', ' ', 'ArrowDown'].includes(event.key)) {
+      event.preventDefault();
+      setIsOpen((open) => event.key === 'ArrowDown' || !open);
+    } else if (event.key === 'Escape') {
+      setIsOpen(false);
+      toggleRef.current?.focus();
+    }
+  };
+
   return (
     <div className='container-box flex w-full '>
       <div
-        className="dropdown-container bg-gradient-to-r to-[#003f92] from-blue-300"
-        onMouseEnter={() => setIsHovered1(true)}
-        onMouseLeave={() => setIsHovered1(false)}
-      >
-        <div className={`dropdown ${isHovered1 ? 'show ' : ''}`}>
-          <div className="dropdown-content">
-            {/* Loop through the main widgets */}
-            {mainWidgets.map(({ Component, key }) => (
-              <DraggableWrapper key={key} type="ITEM">
-                <Component />
-              </DraggableWrapper>
-            ))}
-          </div>
-        </div>
-      </div>
-      
-      <div
-        className="dropdown-container bg-gradient-to-r to-[#9a6dc8] from-purple-900"
-        onMouseEnter={() => setIsHovered2(true)}
-        onMouseLeave={() => setIsHovered2(false)}
+        className="dropdown-container bg-gradient-to-r from-blue-300 via-[#003f92] to-purple-900"
+        onMouseEnter={() => setIsOpen(true)}
+        onMouseLeave={handleMouseLeave}
+        onBlur={handleBlur}
+        onKeyDown={handleKeyDown}
       >
-        <div className={`dropdown ${isHovered2 ? 'show -left-1/2 transform -translate-x-1/4' : '-left-1/2 transform -translate-x-1/4'}`}>
+        <button
+          ref={toggleRef}
+          type="button"
+          className="w-full h-full focus-visible:outline focus-visible:outline-2 focus-visible:outline-white"
+          aria-expanded={isOpen}
+        >
+          <span className="sr-only">Widget palette</span>
+        </button>
+        <div className={`dropdown ${isOpen ? 'show' : ''}`}>
           <div className="dropdown-content">
-            {/* Loop through the submission widgets */}
-            {submissionWidgets.map(({ Component, key }) => (
-              <DraggableWrapper key={key} type="ITEM">
-                <Component />
-              </DraggableWrapper>
-            ))}
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                type="search"
+                className="palette-search"
+                placeholder="Search widgets..."
+                aria-label="Search widgets"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                tabIndex={isOpen ? 0 : -1}
+              />
+              <div className="flex flex-wrap gap-2" role="group" aria-label="Filter by category">
+                {categories.map((name) => (
+                  <button
+                    key={name}
+                    type="button"
+                    className={`palette-chip ${category === name ? 'palette-chip--active' : ''}`}
+                    aria-pressed={category === name}
+                    onClick={() => setCategory(name)}
+                    tabIndex={isOpen ? 0 : -1}
+                  >
+                    {name}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="palette-grid">
+              {visibleWidgets.map((widget) => (
+                <PaletteCard key={widget.id} widget={widget} tabbable={isOpen} onPlace={placeWidget} />
+              ))}
+            </div>
+            {visibleWidgets.length === 0 && (
+              <p className="text-sm text-gray-300">No widgets match your search.</p>
+            )}
+            <BrokenWidgets widgets={brokenWidgets} />
+            <WidgetErrors errors={widgetErrors} />
           </div>
         </div>
       </div>
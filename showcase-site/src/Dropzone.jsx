@@ -1,115 +1,313 @@
-import React, { useState, useEffect } from 'react';
-import { useDrop } from 'react-dnd';
+import React, { useState, useEffect, useCallback, useRef, Suspense } from 'react';
+import { useDrop, useDragLayer } from 'react-dnd';
 import './Dropzone.css';
 import DraggableWrapper from './DraggableWrapper';
-import { getComponent, initializeComponentRegistry } from './registry';
+import { getComponent, getManifest, getWidgetId, initializeComponentRegistry, loadAllWidgets } from './registry';
 import TrashZone from './TrashZone'; // Import the trash zone component
+import WidgetInstanceProvider from './WidgetInstanceProvider';
+import ResizeHandle from './ResizeHandle';
+import WidgetErrorBoundary from './WidgetErrorBoundary';
+import WidgetPlaceholder from './WidgetPlaceholder';
+import WidgetSettings from './WidgetSettings';
+import { Settings } from 'lucide-react';
+import BoardToolbar from './BoardToolbar';
+import EmbeddedPage from './EmbeddedPage';
+import { DEFAULT_GRID_SIZE, FALLBACK_WIDGET_SIZE, placeRect, snapToGrid } from './layout';
+import { loadBoardLayout, saveBoardLayout } from './boards';
+import { readJSON, writeJSON } from './storage';
+import { emptyHistory, loadHistory, recordChange, redo, saveHistory, undo } from './history';
+import { onPlacementRequest } from './boardEvents';
+import { useMediaQuery } from './useMediaQuery';
 
+// How far one arrow key press moves a widget, and with Shift held
+const KEYBOARD_STEP = 10;
+const KEYBOARD_STEP_LARGE = 50;
 
-const DropZone = ({url}) => {
+const DEFAULT_SETTINGS = { gridEnabled: false, gridSize: DEFAULT_GRID_SIZE };
+
+const loadSettings = () => ({ ...DEFAULT_SETTINGS, ...readJSON('boardSettings', {}) });
+
+
+// Reading order of a free-form layout: top to bottom, then left to right
+const stackOrder = (components) => {
+    return [...components].sort((a, b) => (a.position.y - b.position.y) || (a.position.x - b.position.x));
+};
+
+// Looked up on every mount so an error boundary's Retry gets a fresh lazy component after a failed load
+const LazyWidget = ({ type, props }) => {
+    const Component = getComponent(type);
+    return <Component {...props} />;
+};
+
+// `editing` is false while an overlay only shows its widgets, so the board's shortcuts stay off the host page
+const DropZone = ({ boardId, backdrop, onBackdropChange, overlay = false, editing = true }) => {
     const [droppedComponents, setDroppedComponents] = useState([]);
-    const [isDragging, setIsDragging] = useState(false);
+    // Any drag in progress, from the palette or the board, with either backend
+    const isDragging = useDragLayer((monitor) => monitor.isDragging());
+    // On narrow screens widgets are stacked in a column instead of kept at their saved positions
+    const isStacked = useMediaQuery('(max-width: 640px)');
+    // Live size of the widget being resized, committed to droppedComponents on release
+    const [resizing, setResizing] = useState(null);
+    const [settings, setSettings] = useState(loadSettings);
+    // Where the dragged widget would land and the alignment guides it snapped to
+    const [dropPreview, setDropPreview] = useState(null);
+    const [history, setHistory] = useState(emptyHistory);
+    // Dropped component whose settings panel is open
+    const [editingId, setEditingId] = useState(null);
+    // Read out by screen readers through the live region
+    const [announcement, setAnnouncement] = useState('');
+    // Widget to move keyboard focus to once it has rendered
+    const [focusId, setFocusId] = useState(null);
+    const dropZoneRef = useRef(null);
+    // Saves made from callbacks created on earlier renders must still go to the board on screen
+    const boardIdRef = useRef(boardId);
+    boardIdRef.current = boardId;
     // Initialize component registry with persistence
     useEffect(() => {
-
         initializeComponentRegistry();
-        // Load saved components -- comment line out if you want to delete on refresh
-        loadSavedComponents();
-
-         // Add global drag detection
-         const handleDragStart = () => setIsDragging(true);
-         const handleDragEnd = () => setIsDragging(false);
-         
-         document.addEventListener('dragstart', handleDragStart);
-         document.addEventListener('dragend', handleDragEnd);
-         
-         return () => {
-             document.removeEventListener('dragstart', handleDragStart);
-             document.removeEventListener('dragend', handleDragEnd);
-         };
     }, []);
 
-    const loadSavedComponents = () => {
-        try {
-            const saved = localStorage.getItem('droppedComponents');
-            if (saved) {
-                const parsed = JSON.parse(saved);
-                // Only set components if we have data to load
-                if (parsed && parsed.length > 0) {
-                    setDroppedComponents(parsed);
-                }
-            }
-        } catch (error) {
-            console.error('Error loading saved components:', error);
+    // Load the board's saved components whenever the board changes -- comment out if you want to delete on refresh
+    useEffect(() => {
+        // Upgrade layouts saved under legacy COMPONENTNAME keys to manifest ids
+        const upgradeTypes = (components) => components.map(comp => ({
+            ...comp,
+            componentType: getWidgetId(comp.componentType) || comp.componentType
+        }));
+        const layout = upgradeTypes(loadBoardLayout(boardId));
+        setDroppedComponents(layout);
+        // Legacy names are only known once the widget modules have loaded
+        if (layout.some(comp => !getWidgetId(comp.componentType))) {
+            loadAllWidgets().then(() => setDroppedComponents(upgradeTypes));
         }
-    };
+        setHistory(loadHistory(boardId));
+        setResizing(null);
+        setEditingId(null);
+    }, [boardId]);
 
     const saveComponents = (components) => {
-        try {
-            const serializable = components.map(comp => ({
-                ...comp,
-                component: undefined // Don't serialize the component function
-            }));
-            localStorage.setItem('droppedComponents', JSON.stringify(serializable));
-        } catch (error) {
-            console.error('Error saving components:', error);
+        saveBoardLayout(boardIdRef.current, components);
+    };
+
+    const updateSettings = (next) => {
+        setSettings(next);
+        writeJSON('boardSettings', next);
+    };
+
+    const updateHistory = (next) => {
+        setHistory(next);
+        saveHistory(boardIdRef.current, next);
+    };
+
+    // Every edit the user makes to the board goes through here so it can be undone
+    const changeLayout = (updated) => {
+        updateHistory(recordChange(history, droppedComponents));
+        setDroppedComponents(updated);
+        saveComponents(updated);
+    };
+
+    // Both return whether there was anything to undo or redo
+    const undoChange = () => {
+        const result = undo(history, droppedComponents);
+        if (!result) return false;
+        setAnnouncement('Undid the last change');
+        updateHistory(result.history);
+        setDroppedComponents(result.layout);
+        saveComponents(result.layout);
+        return true;
+    };
+
+    const redoChange = () => {
+        const result = redo(history, droppedComponents);
+        if (!result) return false;
+        setAnnouncement('Redid the change');
+        updateHistory(result.history);
+        setDroppedComponents(result.layout);
+        saveComponents(result.layout);
+        return true;
+    };
+
+    // Latest handlers for the listeners below, which are only attached once
+    const actions = useRef({});
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), except while typing where the browser's own undo applies.
+    // The key is only taken from the page when there was a board change to undo or redo.
+    useEffect(() => {
+        if (!editing) return;
+
+        const handleKeyDown = (event) => {
+            if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+            // Not while the board is hidden, such as a toggled-off overlay
+            if (!dropZoneRef.current?.getClientRects().length) return;
+            // The real target, even when the event was retargeted out of a shadow root
+            const target = event.composedPath()[0];
+            if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                if (actions.current.undo()) event.preventDefault();
+            } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+                if (actions.current.redo()) event.preventDefault();
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [editing]);
+
+    // Placement requests from the keyboard-operated palette
+    useEffect(() => onPlacementRequest((componentType) => actions.current.place(componentType)), []);
+
+    useEffect(() => {
+        if (focusId === null) return;
+        dropZoneRef.current?.querySelector(`[data-widget-id="${focusId}"]`)?.focus();
+        setFocusId(null);
+    }, [focusId, droppedComponents]);
+
+    const describe = (comp) => getManifest(comp.componentType)?.name || comp.componentType;
+
+    const addComponent = (componentType, position, props = {}, originalProps) => {
+        const manifest = getManifest(componentType);
+        const newComponent = {
+            id: Date.now(),
+            componentType,
+            props: { ...manifest.defaultProps, ...props },
+            position,
+            size: manifest.defaultSize,
+            originalProps
+        };
+        changeLayout([...droppedComponents, newComponent]);
+        return newComponent;
+    };
+
+    // Places a widget picked from the palette with the keyboard at the first free spot near the top left
+    const placeWithKeyboard = (type) => {
+        const componentType = getWidgetId(type);
+        if (!componentType) return;
+        const size = { ...FALLBACK_WIDGET_SIZE, ...getManifest(componentType).defaultSize };
+        const { position } = placeRect({ x: KEYBOARD_STEP_LARGE, y: KEYBOARD_STEP_LARGE, ...size }, getWidgetRects(null), settings);
+        const placed = addComponent(componentType, position);
+        setFocusId(placed.id);
+        setAnnouncement(`Placed ${describe(placed)} at ${Math.round(position.x)}, ${Math.round(position.y)}. Use the arrow keys to move it and Delete to remove it.`);
+    };
+
+    const moveComponentBy = (id, dx, dy) => {
+        const comp = droppedComponents.find((c) => c.id === id);
+        if (!comp) return;
+        let position = { x: Math.max(0, comp.position.x + dx), y: Math.max(0, comp.position.y + dy) };
+        if (settings.gridEnabled) position = snapToGrid(position, settings.gridSize);
+        changeLayout(droppedComponents.map((c) => (c.id === id ? { ...c, position } : c)));
+        setAnnouncement(`Moved ${describe(comp)} to ${Math.round(position.x)}, ${Math.round(position.y)}`);
+    };
+
+    // Keys handled on a focused widget itself; keys pressed inside the widget's own inputs are left alone
+    const handleWidgetKeyDown = (event, id) => {
+        if (event.target !== event.currentTarget) return;
+        const step = settings.gridEnabled ? settings.gridSize : (event.shiftKey ? KEYBOARD_STEP_LARGE : KEYBOARD_STEP);
+        const moves = {
+            ArrowLeft: [-step, 0],
+            ArrowRight: [step, 0],
+            ArrowUp: [0, -step],
+            ArrowDown: [0, step]
+        };
+
+        if (moves[event.key]) {
+            event.preventDefault();
+            moveComponentBy(id, ...moves[event.key]);
+        } else if (event.key === 'Delete') {
+            event.preventDefault();
+            removeComponent(id);
         }
     };
 
+    actions.current = { undo: undoChange, redo: redoChange, place: placeWithKeyboard };
+
     const removeComponent = (id) => {
+        const removed = droppedComponents.find((comp) => comp.id === id);
+        if (!removed) return;
+        changeLayout(droppedComponents.filter((comp) => comp.id !== id));
+        setAnnouncement(`Removed ${describe(removed)}`);
+    };
+
+    const resizeComponent = (id, size) => {
+        setResizing(null);
+        changeLayout(droppedComponents.map((comp) => (comp.id === id ? { ...comp, size } : comp)));
+    };
+
+    const updateComponentProps = (id, props) => {
+        setEditingId(null);
+        changeLayout(droppedComponents.map((comp) => (
+            comp.id === id ? { ...comp, props: { ...comp.props, ...props } } : comp
+        )));
+    };
+
+    // Widgets opt into this through useWidgetState; the state travels with the component in the layout
+    const updateComponentState = useCallback((id, key, updater) => {
         setDroppedComponents((prev) => {
-            const updated = prev.filter((comp) => comp.id !== id);
+            const updated = prev.map((comp) => {
+                if (comp.id !== id) return comp;
+                const state = comp.state || {};
+                return { ...comp, state: { ...state, [key]: updater(state[key]) } };
+            });
             saveComponents(updated);
-            setIsDragging(false);
             return updated;
         });
+    }, []);
+
+    // Footprints of the placed widgets, relative to the dropzone
+    const getWidgetRects = (excludeId) => {
+        if (!dropZoneRef.current) return [];
+        return Array.from(dropZoneRef.current.querySelectorAll('[data-widget-id]'))
+            .filter((el) => el.dataset.widgetId !== String(excludeId))
+            .map((el) => ({ x: el.offsetLeft, y: el.offsetTop, width: el.offsetWidth, height: el.offsetHeight }));
+    };
+
+    const computePlacement = (item, monitor) => {
+        const offset = monitor.getSourceClientOffset();
+        const dropZoneEl = dropZoneRef.current;
+        if (!offset || !dropZoneEl) return null;
+
+        const dropZoneRect = dropZoneEl.getBoundingClientRect();
+        // Palette cards carry no size, so new widgets are previewed at their declared footprint
+        const size = item.size || { ...FALLBACK_WIDGET_SIZE, ...getManifest(item.componentType)?.defaultSize };
+        const rect = {
+            x: offset.x - dropZoneRect.left,
+            y: offset.y - dropZoneRect.top,
+            width: size.width || 0,
+            height: size.height || 0
+        };
+        const excludeId = item.moveType === 'move' ? item.id : null;
+        return { ...placeRect(rect, getWidgetRects(excludeId), settings), size: rect };
     };
 
     const [{ isOver }, drop] = useDrop({
         accept: 'ITEM',
+        hover: (item, monitor) => {
+            // Not while hovering the trash zone
+            const placement = monitor.isOver({ shallow: true }) ? computePlacement(item, monitor) : null;
+            setDropPreview((prev) => (JSON.stringify(prev) === JSON.stringify(placement) ? prev : placement));
+        },
         drop: (item, monitor) => {
+            // Already handled by a nested target such as the trash zone
+            if (monitor.didDrop()) return;
             try {
-                const offset = monitor.getSourceClientOffset();
-                if (!offset) return;
-                
-                const dropZoneEl = document.getElementById('dropzone');
-                if (!dropZoneEl) return;
-                
-                const dropZoneRect = dropZoneEl.getBoundingClientRect();
-                const position = {
-                    x: offset.x - dropZoneRect.left,
-                    y: offset.y - dropZoneRect.top
-                };
+                const placement = computePlacement(item, monitor);
+                setDropPreview(null);
+                if (!placement) return;
+                const { position } = placement;
 
                 if (item.moveType === 'move' && item.id) {
-                    setDroppedComponents(prev => {
-                        const updated = prev.map(comp => 
-                            comp.id === item.id 
-                                ? { ...comp, position }
-                                : comp
-                        );
-                        saveComponents(updated);
-                        return updated;
-                    });
+                    changeLayout(droppedComponents.map(comp =>
+                        comp.id === item.id
+                            ? { ...comp, position }
+                            : comp
+                    ));
                 } else {
-                    // Register new component
-                    if (!window.componentRegistry.has(item.componentType)) {
-                        window.componentRegistry.set(item.componentType, item.component);
+                    const componentType = getWidgetId(item.componentType);
+                    if (!componentType) {
+                        console.error(`Dropped unregistered component: ${item.componentType}`);
+                        return { dropped: false };
                     }
 
-                    const newComponent = {
-                        id: Date.now(),
-                        componentType: item.componentType,
-                        props: item.props,
-                        position,
-                        originalProps: item.originalProps
-                    };
-
-                    setDroppedComponents(prev => {
-                        const updated = [...prev, newComponent];
-                        saveComponents(updated);
-                        return updated;
-                    });
+                    addComponent(componentType, position, item.props, item.originalProps);
                 }
 
                 return { dropped: true };
@@ -123,27 +321,61 @@ const DropZone = ({url}) => {
         })
     });
 
+    useEffect(() => {
+        if (!isOver) setDropPreview(null);
+    }, [isOver]);
+
+    const getSize = (componentInfo) => {
+        return resizing?.id === componentInfo.id ? resizing.size : componentInfo.size;
+    };
+
     const renderDroppedComponent = (componentInfo) => {
         try {
-            const Component = getComponent(componentInfo.componentType);
-            console.log(componentInfo)
-            if (!Component) {
+            if (!getComponent(componentInfo.componentType)) {
                 console.error(`Component not found: ${componentInfo.componentType}`);
                 return null;
             }
 
             return (
-                <DraggableWrapper
+                <WidgetInstanceProvider
                     key={componentInfo.id}
-                    type="ITEM"
-                    moveType="move"
-                    itemData={{
-                        id: componentInfo.id,
-                        componentType: componentInfo.componentType
-                    }}
+                    id={componentInfo.id}
+                    state={componentInfo.state}
+                    onStateChange={updateComponentState}
                 >
-                    <Component {...componentInfo.originalProps || componentInfo.props} />
-                </DraggableWrapper>
+                    <WidgetErrorBoundary
+                        componentType={componentInfo.componentType}
+                        instanceId={componentInfo.id}
+                        name={getManifest(componentInfo.componentType)?.name}
+                        onRemove={() => removeComponent(componentInfo.id)}
+                    >
+                        {/* Widget code is fetched on first use */}
+                        <Suspense
+                            fallback={
+                                <WidgetPlaceholder
+                                    manifest={getManifest(componentInfo.componentType)}
+                                    fill={Boolean(getSize(componentInfo))}
+                                />
+                            }
+                        >
+                            <DraggableWrapper
+                                type="ITEM"
+                                moveType="move"
+                                fill={Boolean(getSize(componentInfo))}
+                                itemData={{
+                                    id: componentInfo.id,
+                                    componentType: componentInfo.componentType
+                                }}
+                            >
+                                {/* Props edited in the settings panel win over the ones the widget was dropped with */}
+                                <LazyWidget
+                                    type={componentInfo.componentType}
+                                    props={{ ...componentInfo.originalProps, ...componentInfo.props }}
+                                />
+                            </DraggableWrapper>
+                        </Suspense>
+                    </WidgetErrorBoundary>
+                </WidgetInstanceProvider>
             );
         } catch (error) {
             console.error('Error rendering component:', error);
@@ -151,51 +383,107 @@ const DropZone = ({url}) => {
         }
     };
 
-    const renderEmbeddedPage = () => {
-        console.log(isDragging);
-        if (url !== undefined){
-            return <div style={{ position: "relative", height: "calc(100vh - 100px)" }}>
-            <object data={url} style={{
-            width: '100%',
-            height: '100%',
-            display: 'block',
-            border: 'none',
-            position: 'absolute',
-            top: 0,
-            left: 0, 
-            zIndex: 1, 
-            pointerEvents: isDragging? 'none' : 'auto'
-            }}>
-            
-            Error: embedded data could not be loaded.
-            </object>
-            </div>;
-        }
-        return null;
-    };
-
     return (
         <div
             id="dropzone"
-            ref={drop}
-            className={`dropzone ${isOver ? 'dropzone--active' : ''}`}
+            ref={(element) => {
+                dropZoneRef.current = element;
+                drop(element);
+            }}
+            className={`dropzone ${isOver ? 'dropzone--active' : ''} ${settings.gridEnabled && !isStacked ? 'dropzone--grid' : ''} ${isStacked ? 'dropzone--stacked' : ''} ${overlay ? 'dropzone--overlay' : ''} ${isDragging ? 'dropzone--dragging' : ''}`}
+            style={{ '--grid-size': `${settings.gridSize}px` }}
         >
-            {droppedComponents.map((componentInfo) => (
+            {(isStacked ? stackOrder(droppedComponents) : droppedComponents).map((componentInfo) => {
+                const size = getSize(componentInfo);
+                const manifest = getManifest(componentInfo.componentType);
+                return (
+                    <div
+                        key={componentInfo.id}
+                        className={`dropped-component ${resizing?.id === componentInfo.id ? 'dropped-component--resizing' : ''}`}
+                        data-widget-id={componentInfo.id}
+                        data-widget-type={componentInfo.componentType}
+                        tabIndex={0}
+                        role="group"
+                        aria-label={`${manifest?.name || componentInfo.componentType} widget. Arrow keys move it, Delete removes it.`}
+                        onKeyDown={(event) => handleWidgetKeyDown(event, componentInfo.id)}
+                        style={isStacked ? {
+                            position: 'relative',
+                            width: size ? `${size.width}px` : undefined,
+                            maxWidth: '100%',
+                            height: size ? `${size.height}px` : undefined
+                        } : {
+                            position: 'absolute',
+                            left: `${componentInfo.position.x}px`,
+                            top: `${componentInfo.position.y}px`,
+                            width: size ? `${size.width}px` : undefined,
+                            height: size ? `${size.height}px` : undefined
+                        }}
+                    >
+
+                        {renderDroppedComponent(componentInfo)}
+                        {manifest && Object.keys(manifest.propsSchema).length > 0 && (
+                            <button
+                                type="button"
+                                className="widget-settings-button"
+                                onClick={() => setEditingId(editingId === componentInfo.id ? null : componentInfo.id)}
+                                aria-label={`${manifest.name} settings`}
+                                aria-expanded={editingId === componentInfo.id}
+                            >
+                                <Settings className="w-4 h-4" />
+                            </button>
+                        )}
+                        {editingId === componentInfo.id && (
+                            <div className="widget-settings-popover">
+                                <WidgetSettings
+                                    manifest={manifest}
+                                    props={{ ...componentInfo.originalProps, ...componentInfo.props }}
+                                    onSave={(props) => updateComponentProps(componentInfo.id, props)}
+                                    onClose={() => setEditingId(null)}
+                                />
+                            </div>
+                        )}
+                        <ResizeHandle
+                            minSize={manifest?.minSize}
+                            maxSize={manifest?.maxSize}
+                            onResize={(next) => setResizing({ id: componentInfo.id, size: next })}
+                            onResizeEnd={(next) => resizeComponent(componentInfo.id, next)}
+                        />
+                    </div>
+                );
+            })}
+
+            {dropPreview && (
                 <div
-                    key={componentInfo.id}
-                    className="dropped-component"
+                    className="drop-preview"
                     style={{
-                        position: 'absolute',
-                        left: `${componentInfo.position.x}px`,
-                        top: `${componentInfo.position.y}px`
+                        left: `${dropPreview.position.x}px`,
+                        top: `${dropPreview.position.y}px`,
+                        width: `${dropPreview.size.width}px`,
+                        height: `${dropPreview.size.height}px`
                     }}
-                > 
-
-                    {renderDroppedComponent(componentInfo)}
-                </div>
+                />
+            )}
+            {dropPreview?.guides.map((guide) => (
+                <div
+                    key={`${guide.axis}-${guide.at}`}
+                    className={`alignment-guide alignment-guide--${guide.axis}`}
+                    style={guide.axis === 'x' ? { left: `${guide.at}px` } : { top: `${guide.at}px` }}
+                />
             ))}
-            
-            {renderEmbeddedPage()}
+
+            <div className="sr-only" role="status" aria-live="polite">{announcement}</div>
+
+            {backdrop.mode !== 'none' && <EmbeddedPage backdrop={backdrop} isDragging={isDragging} />}
+            <BoardToolbar
+                settings={settings}
+                onSettingsChange={updateSettings}
+                onUndo={undoChange}
+                onRedo={redoChange}
+                canUndo={history.past.length > 0}
+                canRedo={history.future.length > 0}
+                backdrop={backdrop}
+                onBackdropChange={onBackdropChange}
+            />
             {<TrashZone onRemove={removeComponent} />}
             
         </div>
@@ -0,0 +1,76 @@
+import { useEffect, useState } from 'react';
+import { AlertTriangle, X } from 'lucide-react';
+import { checkFrameable } from './frameCheck';
+import './EmbeddedPage.css';
+
+// The board's backdrop: a live website, or a screenshot / blank page to arrange widgets over
+// when the site refuses to be framed
+const EmbeddedPage = ({ backdrop, isDragging }) => {
+    const [frameCheck, setFrameCheck] = useState(null);
+    const [dismissed, setDismissed] = useState(false);
+
+    useEffect(() => {
+        setFrameCheck(null);
+        setDismissed(false);
+        if (backdrop.mode !== 'page' || !backdrop.url) return;
+
+        let cancelled = false;
+        checkFrameable(backdrop.url).then((result) => {
+            if (!cancelled) setFrameCheck(result);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [backdrop.mode, backdrop.url]);
+
+    const blocked = backdrop.mode === 'page' && frameCheck?.status === 'blocked';
+    const showScreenshot = backdrop.screenshot && (backdrop.mode === 'screenshot' || blocked);
+
+    const renderBackdrop = () => {
+        if (backdrop.mode === 'page' && !blocked) {
+            return (
+                <iframe
+                    src={backdrop.url}
+                    title="Embedded website"
+                    className="embedded-page__frame"
+                    style={{ pointerEvents: isDragging ? 'none' : 'auto' }}
+                    referrerPolicy="no-referrer"
+                />
+            );
+        }
+        if (showScreenshot) {
+            return <img src={backdrop.screenshot} alt="Screenshot of the website" className="embedded-page__screenshot" />;
+        }
+        return <div className="embedded-page__blank" />;
+    };
+
+    const renderNotice = () => {
+        if (dismissed || !frameCheck || frameCheck.status === 'allowed') return null;
+        const host = new URL(backdrop.url).host;
+
+        return (
+            <div className={`embedded-page__notice ${blocked ? 'embedded-page__notice--blocked' : ''}`} role="status">
+                <AlertTriangle className="w-4 h-4 shrink-0" />
+                <p>
+                    {blocked ? `${host} can't be shown here. ` : `${host} might not be shown here. `}
+                    {frameCheck.reason}
+                    {blocked && (showScreenshot
+                        ? ' Showing your screenshot instead.'
+                        : ' Showing a blank page instead; upload a screenshot in the backdrop settings to arrange widgets over it.')}
+                </p>
+                <button type="button" onClick={() => setDismissed(true)} aria-label="Dismiss">
+                    <X className="w-4 h-4" />
+                </button>
+            </div>
+        );
+    };
+
+    return (
+        <div className="embedded-page">
+            {renderBackdrop()}
+            {renderNotice()}
+        </div>
+    );
+};
+
+export default EmbeddedPage;
@@ -0,0 +1,52 @@
+import { useDrag } from 'react-dnd';
+import { preloadWidget } from './registry';
+
+// Lightweight stand-in for a widget in the Dropdown palette. Only the manifest is shown here;
+// the real component is mounted by the DropZone once the card is dropped.
+const PaletteCard = ({ widget, tabbable, onPlace }) => {
+  const { id, manifest, source } = widget;
+
+  const [{ isDragging }, drag] = useDrag({
+    type: 'ITEM',
+    // No size: the DropZone falls back to the manifest's defaultSize for the drop preview
+    item: { componentType: id, moveType: 'clone' },
+    collect: (monitor) => ({
+      isDragging: monitor.isDragging(),
+    }),
+  });
+
+  // Keyboard users place a widget with Enter or Space instead of dragging it
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      onPlace(id);
+    }
+  };
+
+  return (
+    <div
+      ref={drag}
+      className={`palette-card ${source === 'submission-widgets' ? 'palette-card--submission' : ''}`}
+      style={{ opacity: isDragging ? 0.5 : 1 }}
+      tabIndex={tabbable ? 0 : -1}
+      role="button"
+      aria-label={`Place ${manifest.name}`}
+      onKeyDown={handleKeyDown}
+      // Start fetching the widget's code as soon as it looks likely to be placed
+      onMouseEnter={() => preloadWidget(id)}
+      onFocus={() => preloadWidget(id)}
+    >
+      <div className="flex items-start gap-3">
+        <span className="text-3xl leading-none" aria-hidden="true">{manifest.icon}</span>
+        <div className="min-w-0">
+          <p className="font-semibold truncate">{manifest.name}</p>
+          {manifest.author && <p className="text-xs text-gray-300 truncate">by {manifest.author}</p>}
+        </div>
+      </div>
+      {manifest.description && <p className="text-sm text-gray-200 line-clamp-2">{manifest.description}</p>}
+      <span className="palette-card__category">{manifest.category}</span>
+    </div>
+  );
+};
+
+export default PaletteCard;
@@ -0,0 +1,55 @@
+import { useRef } from 'react';
+import { clampSize } from './layout';
+
+// Bottom-right grip that resizes its parent element. Pointer capture keeps the
+// resize going even when the cursor passes over an embedded page.
+const ResizeHandle = ({ minSize, maxSize, onResize, onResizeEnd }) => {
+    const start = useRef(null);
+
+    const handlePointerDown = (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        // offset sizes ignore the hover scale transform on .dropped-component
+        const { offsetWidth: width, offsetHeight: height } = event.currentTarget.parentElement;
+        start.current = {
+            x: event.clientX,
+            y: event.clientY,
+            width,
+            height,
+            size: { width, height }
+        };
+        event.currentTarget.setPointerCapture(event.pointerId);
+    };
+
+    const handlePointerMove = (event) => {
+        if (!start.current) return;
+        const size = clampSize({
+            width: start.current.width + event.clientX - start.current.x,
+            height: start.current.height + event.clientY - start.current.y
+        }, minSize, maxSize);
+        start.current.size = size;
+        onResize(size);
+    };
+
+    const handlePointerUp = (event) => {
+        if (!start.current) return;
+        event.currentTarget.releasePointerCapture(event.pointerId);
+        const { size } = start.current;
+        start.current = null;
+        onResizeEnd(size);
+    };
+
+    return (
+        <div
+            className="resize-handle"
+            role="separator"
+            aria-label="Resize widget"
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+        />
+    );
+};
+
+export default ResizeHandle;
@@ -1,7 +1,9 @@
-import { useDrop } from 'react-dnd';
+import { useDrop, useDragLayer } from 'react-dnd';
 import './TrashZone.css';
 
 const TrashZone = ({ onRemove }) => {
+    // There is no hover on touch screens, so open up while something is being dragged
+    const isDragging = useDragLayer((monitor) => monitor.isDragging());
     const [{ isOver }, drop] = useDrop({
         accept: 'ITEM', // Accepts draggable widgets
         drop: (item) => {
@@ -13,7 +15,7 @@ const TrashZone = ({ onRemove }) => {
     });
 
     return (
-        <div ref={drop} className={`trash-zone ${isOver ? 'trash-zone--active' : ''}`}>
+        <div ref={drop} className={`trash-zone ${isOver ? 'trash-zone--active' : ''} ${isDragging ? 'trash-zone--visible' : ''}`}>
             
         </div>
     );
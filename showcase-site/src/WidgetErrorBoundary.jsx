@@ -0,0 +1,72 @@
+import { Component, Fragment } from 'react';
+import { AlertTriangle, RotateCcw, Trash2 } from 'lucide-react';
+import { logWidgetError } from './errorLog';
+
+// Catches errors thrown while rendering a widget (including in its effects) and shows a
+// fallback card in its place, so the rest of the board keeps working.
+class WidgetErrorBoundary extends Component {
+    constructor(props) {
+        super(props);
+        this.state = { error: null, attempt: 0 };
+        this.retry = this.retry.bind(this);
+    }
+
+    static getDerivedStateFromError(error) {
+        return { error };
+    }
+
+    componentDidCatch(error, info) {
+        logWidgetError({
+            componentType: this.props.componentType,
+            instanceId: this.props.instanceId,
+            error,
+            componentStack: info.componentStack
+        });
+    }
+
+    retry() {
+        // A new key remounts the widget from scratch
+        this.setState((state) => ({ error: null, attempt: state.attempt + 1 }));
+    }
+
+    render() {
+        const { error, attempt } = this.state;
+        const { children, name, onRemove } = this.props;
+
+        if (!error) {
+            return <Fragment key={attempt}>{children}</Fragment>;
+        }
+
+        return (
+            <div className="p-4 w-64 bg-white rounded-xl shadow-lg border border-red-300 text-left" role="alert">
+                <div className="flex items-center gap-2 text-red-600 font-semibold">
+                    <AlertTriangle className="w-5 h-5 shrink-0" />
+                    <span>{name || 'This widget'} stopped working</span>
+                </div>
+                <p className="mt-2 text-sm text-gray-700 break-words">{error.message || String(error)}</p>
+                <div className="flex gap-2 mt-3">
+                    <button
+                        type="button"
+                        onClick={this.retry}
+                        className="flex items-center gap-1 px-3 py-1 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors"
+                    >
+                        <RotateCcw className="w-4 h-4" />
+                        Retry
+                    </button>
+                    {onRemove && (
+                        <button
+                            type="button"
+                            onClick={onRemove}
+                            className="flex items-center gap-1 px-3 py-1 text-sm bg-red-500 text-white rounded hover:bg-red-600 transition-colors"
+                        >
+                            <Trash2 className="w-4 h-4" />
+                            Remove
+                        </button>
+                    )}
+                </div>
+            </div>
+        );
+    }
+}
+
+export default WidgetErrorBoundary;
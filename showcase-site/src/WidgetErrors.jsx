@@ -0,0 +1,30 @@
+import { Bug } from 'lucide-react';
+import { getManifest } from './registry';
+
+const formatTime = (time) => new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+// Crashes caught by the widgets' error boundaries this session, newest first, shown under the
+// broken widgets at the bottom of the palette
+const WidgetErrors = ({ errors }) => {
+  if (errors.length === 0) return null;
+
+  return (
+    <details className="broken-widgets">
+      <summary className="flex items-center gap-2 cursor-pointer text-sm text-red-200">
+        <Bug className="w-4 h-4 shrink-0" />
+        {errors.length === 1 ? '1 widget error' : `${errors.length} widget errors`} this session
+      </summary>
+      <ul className="mt-2 space-y-1 text-sm">
+        {[...errors].reverse().map((entry, index) => (
+          <li key={`${entry.time}-${index}`}>
+            <span className="text-gray-400">{formatTime(entry.time)} </span>
+            <span className="text-red-100">{getManifest(entry.componentType)?.name || entry.componentType}</span>
+            <span className="text-gray-200">: {entry.message}</span>
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+};
+
+export default WidgetErrors;
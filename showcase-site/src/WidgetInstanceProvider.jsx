@@ -0,0 +1,20 @@
+import { useMemo } from 'react';
+import { WidgetInstanceContext } from './widgetState';
+
+// Gives the widget rendered inside it an instance: its saved state and events, used through the hooks
+// in widgetState.js
+const WidgetInstanceProvider = ({ id, state, onStateChange, onEvent, children }) => {
+    const value = useMemo(() => ({
+        state: state || {},
+        setState: (key, next) => onStateChange(id, key, next),
+        emit: (name, detail) => onEvent?.(id, name, detail)
+    }), [id, state, onStateChange, onEvent]);
+
+    return (
+        <WidgetInstanceContext.Provider value={value}>
+            {children}
+        </WidgetInstanceContext.Provider>
+    );
+};
+
+export default WidgetInstanceProvider;
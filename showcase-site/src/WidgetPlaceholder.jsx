@@ -0,0 +1,21 @@
+import { Loader2 } from 'lucide-react';
+import { FALLBACK_WIDGET_SIZE } from './layout';
+
+// Shown on the DropZone while a widget's code is still downloading
+const WidgetPlaceholder = ({ manifest, fill }) => {
+    return (
+        <div
+            className="flex flex-col items-center justify-center gap-2 rounded-xl border-2 border-dashed border-gray-300 bg-white/70 text-gray-600"
+            style={{
+                width: fill ? '100%' : `${FALLBACK_WIDGET_SIZE.width}px`,
+                height: fill ? '100%' : `${FALLBACK_WIDGET_SIZE.height}px`
+            }}
+            role="status"
+        >
+            <Loader2 className="w-6 h-6 animate-spin" />
+            <span className="text-sm">Loading {manifest?.icon} {manifest?.name || 'widget'}...</span>
+        </div>
+    );
+};
+
+export default WidgetPlaceholder;
@@ -0,0 +1,142 @@
+import { useState } from 'react';
+import { Plus, X } from 'lucide-react';
+import { isValidPropValue } from './manifest';
+
+const inputClass = 'w-full border border-gray-300 rounded px-2 py-1 text-sm text-black bg-white';
+
+const ListField = ({ value, onChange }) => {
+    const items = Array.isArray(value) ? value : [];
+    const setItem = (index, next) => onChange(items.map((item, i) => (i === index ? next : item)));
+
+    return (
+        <div className="space-y-1">
+            {items.map((item, index) => (
+                <div key={index} className="flex gap-1">
+                    <input className={inputClass} value={item} onChange={(e) => setItem(index, e.target.value)} />
+                    <button
+                        type="button"
+                        className="p-1 text-gray-500 hover:text-red-600"
+                        onClick={() => onChange(items.filter((_, i) => i !== index))}
+                        aria-label="Remove item"
+                    >
+                        <X className="w-4 h-4" />
+                    </button>
+                </div>
+            ))}
+            <button
+                type="button"
+                className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800"
+                onClick={() => onChange([...items, ''])}
+            >
+                <Plus className="w-4 h-4" /> Add
+            </button>
+        </div>
+    );
+};
+
+const SettingsField = ({ name, field, value, onChange }) => {
+    const id = `widget-setting-${name}`;
+
+    switch (field.type) {
+        case 'boolean':
+            return (
+                <label htmlFor={id} className="flex items-center gap-2 text-sm">
+                    <input id={id} type="checkbox" checked={Boolean(value)} onChange={(e) => onChange(e.target.checked)} />
+                    {field.label}
+                </label>
+            );
+        case 'number':
+            return (
+                <input
+                    id={id}
+                    type="number"
+                    className={inputClass}
+                    min={field.min}
+                    max={field.max}
+                    step={field.step}
+                    value={Number.isFinite(value) ? value : ''}
+                    onChange={(e) => onChange(e.target.value === '' ? NaN : Number(e.target.value))}
+                />
+            );
+        case 'enum':
+            return (
+                <select
+                    id={id}
+                    className={inputClass}
+                    value={field.options.findIndex((option) => option.value === value)}
+                    onChange={(e) => onChange(field.options[Number(e.target.value)].value)}
+                >
+                    {field.options.map((option, index) => (
+                        <option key={index} value={index}>{option.label}</option>
+                    ))}
+                </select>
+            );
+        case 'color':
+            return <input id={id} type="color" className="h-8 w-16 cursor-pointer" value={value} onChange={(e) => onChange(e.target.value)} />;
+        case 'list':
+            return <ListField value={value} onChange={onChange} />;
+        default:
+            return <input id={id} type="text" className={inputClass} value={value ?? ''} onChange={(e) => onChange(e.target.value)} />;
+    }
+};
+
+// Form generated from a widget's propsSchema. Changes are only applied on Save, as one undoable edit.
+const WidgetSettings = ({ manifest, props, onSave, onClose }) => {
+    const schema = manifest.propsSchema;
+    const [draft, setDraft] = useState(() => (
+        Object.fromEntries(Object.keys(schema).map((name) => [name, props?.[name] ?? schema[name].default]))
+    ));
+
+    const invalid = Object.keys(schema).filter((name) => !isValidPropValue(schema[name], draft[name]));
+
+    const handleSubmit = (event) => {
+        event.preventDefault();
+        if (invalid.length === 0) onSave(draft);
+    };
+
+    return (
+        <form
+            className="widget-settings w-72 p-4 bg-white text-black rounded-xl shadow-xl space-y-3 text-left"
+            onSubmit={handleSubmit}
+            onKeyDown={(e) => e.key === 'Escape' && onClose()}
+        >
+            <div className="flex items-center justify-between">
+                <h3 className="font-semibold">{manifest.icon} {manifest.name} settings</h3>
+                <button type="button" className="p-1 text-gray-500 hover:text-black" onClick={onClose} aria-label="Close settings">
+                    <X className="w-4 h-4" />
+                </button>
+            </div>
+
+            {Object.entries(schema).map(([name, field]) => (
+                <div key={name} className="space-y-1">
+                    {field.type !== 'boolean' && (
+                        <label htmlFor={`widget-setting-${name}`} className="block text-sm font-medium">{field.label}</label>
+                    )}
+                    <SettingsField
+                        name={name}
+                        field={field}
+                        value={draft[name]}
+                        onChange={(value) => setDraft((prev) => ({ ...prev, [name]: value }))}
+                    />
+                    {field.description && <p className="text-xs text-gray-500">{field.description}</p>}
+                    {invalid.includes(name) && <p className="text-xs text-red-600">Invalid value</p>}
+                </div>
+            ))}
+
+            <div className="flex justify-end gap-2 pt-1">
+                <button type="button" className="px-3 py-1 text-sm rounded hover:bg-gray-100" onClick={onClose}>
+                    Cancel
+                </button>
+                <button
+                    type="submit"
+                    className="px-3 py-1 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+                    disabled={invalid.length > 0}
+                >
+                    Save
+                </button>
+            </div>
+        </form>
+    );
+};
+
+export default WidgetSettings;
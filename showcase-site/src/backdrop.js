@@ -0,0 +1,52 @@
+import { useEffect, useState } from 'react';
+import { readJSON, removeItem, writeJSON } from './storage';
+
+// What each board is laid out over: nothing (the showcase page), a live website in a frame,
+// an uploaded screenshot of one, or a blank page.
+export const BACKDROP_MODES = ['none', 'page', 'screenshot', 'blank'];
+
+const backdropKey = (boardId) => `backdrop:${boardId}`;
+
+export const emptyBackdrop = () => ({ mode: 'none', url: '', screenshot: null });
+
+export const loadBackdrop = (boardId) => {
+  const saved = readJSON(backdropKey(boardId));
+  return BACKDROP_MODES.includes(saved?.mode) ? { ...emptyBackdrop(), ...saved } : emptyBackdrop();
+};
+
+// Screenshots are stored as data URLs, so a very large image can exceed the storage quota
+export const saveBackdrop = (boardId, backdrop) => {
+  writeJSON(backdropKey(boardId), backdrop);
+};
+
+export const clearBackdrop = (boardId) => {
+  removeItem(backdropKey(boardId));
+};
+
+// "example.com" -> "https://example.com"; returns null for anything that isn't an http(s) URL
+export const normalizeUrl = (input) => {
+  const trimmed = input.trim();
+  if (!trimmed) return null;
+  try {
+    const url = new URL(/^[a-z]+:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+};
+
+// The active board's backdrop, saved whenever it changes
+export const useBackdrop = (boardId) => {
+  const [backdrop, setBackdrop] = useState(() => loadBackdrop(boardId));
+
+  useEffect(() => {
+    setBackdrop(loadBackdrop(boardId));
+  }, [boardId]);
+
+  const updateBackdrop = (next) => {
+    setBackdrop(next);
+    saveBackdrop(boardId, next);
+  };
+
+  return [backdrop, updateBackdrop];
+};
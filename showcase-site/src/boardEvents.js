@@ -0,0 +1,14 @@
+// The Dropdown palette and the DropZone live in different parts of the page, so placing a
+// widget without dragging (e.g. from the keyboard) is requested through a window event.
+const PLACE_WIDGET_EVENT = 'hackiethon:place-widget';
+
+export const requestPlacement = (componentType) => {
+  window.dispatchEvent(new CustomEvent(PLACE_WIDGET_EVENT, { detail: { componentType } }));
+};
+
+// Returns an unsubscribe function
+export const onPlacementRequest = (listener) => {
+  const handler = (event) => listener(event.detail.componentType);
+  window.addEventListener(PLACE_WIDGET_EVENT, handler);
+  return () => window.removeEventListener(PLACE_WIDGET_EVENT, handler);
+};
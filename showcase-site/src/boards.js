@@ -0,0 +1,106 @@
+import { useState } from 'react';
+import { readJSON, removeItem, writeJSON } from './storage';
+import { clearHistory } from './history';
+import { clearBackdrop, loadBackdrop, saveBackdrop } from './backdrop';
+
+// Each board keeps its layout under its own key; "boards" indexes them by id and name.
+const BOARDS_KEY = 'boards';
+const ACTIVE_BOARD_KEY = 'activeBoard';
+// Layouts from before named boards existed
+const LEGACY_LAYOUT_KEY = 'droppedComponents';
+
+const layoutKey = (boardId) => `board:${boardId}`;
+
+export const loadBoardLayout = (boardId) => {
+  const layout = readJSON(layoutKey(boardId), []);
+  return Array.isArray(layout) ? layout : [];
+};
+
+export const saveBoardLayout = (boardId, components) => {
+  const serializable = components.map((comp) => ({
+    ...comp,
+    component: undefined // Don't serialize the component function
+  }));
+  writeJSON(layoutKey(boardId), serializable);
+};
+
+const createBoardId = () => `board-${Date.now().toString(36)}`;
+
+const loadBoardIndex = () => {
+  const boards = readJSON(BOARDS_KEY);
+  if (Array.isArray(boards) && boards.length > 0) {
+    return boards;
+  }
+
+  // First run: start with one board, carrying over the single pre-boards layout if there is one
+  const board = { id: createBoardId(), name: 'My board' };
+  saveBoardLayout(board.id, readJSON(LEGACY_LAYOUT_KEY, []));
+  removeItem(LEGACY_LAYOUT_KEY);
+  writeJSON(BOARDS_KEY, [board]);
+  return [board];
+};
+
+const loadActiveBoardId = (boards) => {
+  const saved = readJSON(ACTIVE_BOARD_KEY);
+  return boards.some((board) => board.id === saved) ? saved : boards[0].id;
+};
+
+// Board list and the board being shown, persisted so the last-used board is restored on load
+export const useBoards = () => {
+  const [boards, setBoards] = useState(loadBoardIndex);
+  const [activeBoardId, setActiveBoardId] = useState(() => loadActiveBoardId(boards));
+
+  const updateBoards = (next) => {
+    setBoards(next);
+    writeJSON(BOARDS_KEY, next);
+  };
+
+  const switchBoard = (id) => {
+    setActiveBoardId(id);
+    writeJSON(ACTIVE_BOARD_KEY, id);
+  };
+
+  const createBoard = (name, layout = []) => {
+    const board = { id: createBoardId(), name };
+    saveBoardLayout(board.id, layout);
+    updateBoards([...boards, board]);
+    switchBoard(board.id);
+    return board;
+  };
+
+  const renameBoard = (id, name) => {
+    updateBoards(boards.map((board) => (board.id === id ? { ...board, name } : board)));
+  };
+
+  const duplicateBoard = (id) => {
+    const source = boards.find((board) => board.id === id);
+    if (!source) return null;
+    const board = createBoard(`${source.name} (copy)`, loadBoardLayout(id));
+    saveBackdrop(board.id, loadBackdrop(id));
+    return board;
+  };
+
+  const deleteBoard = (id) => {
+    // There is always at least one board to show
+    if (boards.length <= 1) return;
+    const remaining = boards.filter((board) => board.id !== id);
+    removeItem(layoutKey(id));
+    clearHistory(id);
+    clearBackdrop(id);
+    updateBoards(remaining);
+    if (id === activeBoardId) {
+      switchBoard(remaining[0].id);
+    }
+  };
+
+  return {
+    boards,
+    activeBoardId,
+    activeBoard: boards.find((board) => board.id === activeBoardId),
+    switchBoard,
+    createBoard,
+    renameBoard,
+    duplicateBoard,
+    deleteBoard
+  };
+};
@@ -0,0 +1,34 @@
+// Widgets the registry had to skip, so a submission with a mistake in it shows up in the palette's
+// diagnostics instead of quietly going missing
+let entries = [];
+const listeners = new Set();
+
+export const reportBrokenWidget = ({ path, source, id = null, error }) => {
+  const entry = {
+    path,
+    source,
+    id,
+    message: error?.message || String(error),
+    time: new Date().toISOString(),
+  };
+  // One entry per file; a later failure replaces the earlier one
+  entries = [...entries.filter((existing) => existing.path !== path), entry];
+  console.error(`Skipped widget ${path}:`, error);
+  listeners.forEach((listener) => listener(entries));
+  return entry;
+};
+
+// Called once a widget that failed before has loaded after all
+export const clearBrokenWidget = (path) => {
+  if (!entries.some((entry) => entry.path === path)) return;
+  entries = entries.filter((entry) => entry.path !== path);
+  listeners.forEach((listener) => listener(entries));
+};
+
+export const getBrokenWidgets = () => entries;
+
+// Returns an unsubscribe function
+export const subscribeToBrokenWidgets = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
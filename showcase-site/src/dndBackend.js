@@ -0,0 +1,21 @@
+import { HTML5Backend } from 'react-dnd-html5-backend';
+import { TouchBackend } from 'react-dnd-touch-backend';
+
+// Native HTML5 drag and drop never fires for touch input, so touch devices get the touch backend.
+// It also listens to the mouse, which keeps touchscreen laptops working with both.
+export const isTouchDevice = () => {
+  return typeof window !== 'undefined' && ('ontouchstart' in window || navigator.maxTouchPoints > 0);
+};
+
+export const isTouchBackend = isTouchDevice();
+
+export const dndBackend = isTouchBackend ? TouchBackend : HTML5Backend;
+
+export const dndOptions = isTouchBackend
+  ? {
+      enableMouseEvents: true,
+      // Long-press to pick a widget up, so a normal swipe still scrolls the page
+      delayTouchStart: 250,
+      ignoreContextMenu: true,
+    }
+  : undefined;
@@ -0,0 +1,35 @@
+// Custom element attributes are strings; the widget's propsSchema says what each should become.
+
+// "defaultCity" -> "default-city"
+export const attributeName = (prop) => prop.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+
+// Returns undefined when the attribute is removed or can't be read, so the widget's default applies
+export const parseAttribute = (field, value) => {
+  if (value === null) return undefined;
+
+  switch (field.type) {
+    case 'number': {
+      const number = Number(value);
+      return value.trim() !== '' && Number.isFinite(number) ? number : undefined;
+    }
+    case 'boolean':
+      // Present means true, like HTML's own boolean attributes, unless it says "false"
+      return value !== 'false';
+    case 'enum':
+      // Options can be numbers or strings; match on their text
+      return field.options.find((option) => String(option.value) === value)?.value;
+    case 'list':
+      // A JSON array, or comma-separated values
+      if (value.trim().startsWith('[')) {
+        try {
+          const list = JSON.parse(value);
+          return Array.isArray(list) ? list.map(String) : undefined;
+        } catch {
+          return undefined;
+        }
+      }
+      return value.split(',').map((item) => item.trim()).filter(Boolean);
+    default:
+      return value;
+  }
+};
@@ -0,0 +1,126 @@
+import { Suspense } from 'react';
+import ReactDOM from 'react-dom/client';
+import { getComponent, getWidget } from '../registry';
+import WidgetInstanceProvider from '../WidgetInstanceProvider';
+import WidgetErrorBoundary from '../WidgetErrorBoundary';
+import { mountStyles, unmountStyles } from '../shadowStyles';
+import { attributeName, parseAttribute } from './attributes';
+import '../index.css';
+import './element.css';
+
+// Registers a widget as a custom element, so pages built without React can use it:
+//
+//   <hm-weather default-city="Melbourne"></hm-weather>
+//
+// The tag is "hm-" followed by the manifest id (the weather widget's is "weather"), unless tagName is given.
+// Props declared in the manifest's propsSchema can be set as attributes (kebab-case) or as element
+// properties (camelCase). Values kept with useWidgetState are reported in "statechange" events, and
+// anything a widget emits with useWidgetEvent is dispatched as an event of that name.
+export const defineWidgetElement = (type, { tagName } = {}) => {
+  const widget = getWidget(type);
+  if (!widget) {
+    throw new Error(`Unknown widget type: ${type}`);
+  }
+
+  const name = tagName ?? `hm-${widget.id}`;
+  if (customElements.get(name)) {
+    return customElements.get(name);
+  }
+
+  const { manifest } = widget;
+  const Component = getComponent(widget.id);
+  const propsByAttribute = Object.fromEntries(
+    Object.keys(manifest.propsSchema).map((prop) => [attributeName(prop), prop])
+  );
+
+  class WidgetElement extends HTMLElement {
+    static get observedAttributes() {
+      return Object.keys(propsByAttribute);
+    }
+
+    constructor() {
+      super();
+      this.attachShadow({ mode: 'open' });
+      this.props = {};
+      this.widgetState = {};
+      this.root = null;
+      this.handleStateChange = this.handleStateChange.bind(this);
+      this.handleEvent = this.handleEvent.bind(this);
+    }
+
+    connectedCallback() {
+      mountStyles(this.shadowRoot);
+      if (!this.root) {
+        const container = document.createElement('div');
+        this.shadowRoot.appendChild(container);
+        this.root = ReactDOM.createRoot(container);
+      }
+      this.renderWidget();
+    }
+
+    disconnectedCallback() {
+      unmountStyles(this.shadowRoot);
+      this.root?.unmount();
+      this.root = null;
+      this.shadowRoot.querySelector(':scope > div')?.remove();
+    }
+
+    attributeChangedCallback(attribute, previous, value) {
+      const prop = propsByAttribute[attribute];
+      this.props = { ...this.props, [prop]: parseAttribute(manifest.propsSchema[prop], value) };
+      this.renderWidget();
+    }
+
+    handleStateChange(id, key, updater) {
+      const value = updater(this.widgetState[key]);
+      this.widgetState = { ...this.widgetState, [key]: value };
+      this.renderWidget();
+      this.dispatchEvent(new CustomEvent('statechange', {
+        detail: { key, value, state: this.widgetState },
+        bubbles: true,
+        composed: true
+      }));
+    }
+
+    handleEvent(id, eventName, detail) {
+      this.dispatchEvent(new CustomEvent(eventName, { detail, bubbles: true, composed: true }));
+    }
+
+    renderWidget() {
+      if (!this.root) return;
+      // Unset props fall back to the manifest defaults rather than undefined
+      const props = Object.fromEntries(Object.entries(this.props).filter(([, value]) => value !== undefined));
+
+      this.root.render(
+        <WidgetInstanceProvider
+          id={name}
+          state={this.widgetState}
+          onStateChange={this.handleStateChange}
+          onEvent={this.handleEvent}
+        >
+          <WidgetErrorBoundary componentType={widget.id} name={manifest.name}>
+            <Suspense fallback={null}>
+              <Component {...manifest.defaultProps} {...props} />
+            </Suspense>
+          </WidgetErrorBoundary>
+        </WidgetInstanceProvider>
+      );
+    }
+  }
+
+  // element.defaultCity = 'Sydney' works the same as the attribute
+  Object.values(propsByAttribute).forEach((prop) => {
+    Object.defineProperty(WidgetElement.prototype, prop, {
+      get() {
+        return this.props[prop] ?? manifest.defaultProps[prop];
+      },
+      set(value) {
+        this.props = { ...this.props, [prop]: value };
+        this.renderWidget();
+      }
+    });
+  });
+
+  customElements.define(name, WidgetElement);
+  return WidgetElement;
+};
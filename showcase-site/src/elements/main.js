@@ -0,0 +1,17 @@
+import { getRegisteredWidgets, initializeComponentRegistry } from '../registry';
+import { defineWidgetElement } from './defineWidgetElement';
+
+// Entry point of the custom elements build (npm run build:elements). Loading the script registers
+// every widget as <hm-[widget id]>; window.HackiethonWidgets.defineWidgetElement can register one
+// under another tag name.
+initializeComponentRegistry().then(() => {
+  getRegisteredWidgets().forEach((widget) => {
+    try {
+      defineWidgetElement(widget.id);
+    } catch (error) {
+      console.error(`Error defining an element for widget "${widget.id}":`, error);
+    }
+  });
+});
+
+export { defineWidgetElement };
@@ -0,0 +1,28 @@
+// Central record of widget failures, so one broken widget can be reported without taking down the page
+const MAX_ENTRIES = 100;
+
+let entries = [];
+const listeners = new Set();
+
+export const logWidgetError = ({ componentType, instanceId = null, error, componentStack = '' }) => {
+  const entry = {
+    componentType,
+    instanceId,
+    message: error?.message || String(error),
+    stack: error?.stack || '',
+    componentStack,
+    time: new Date().toISOString(),
+  };
+  entries = [...entries, entry].slice(-MAX_ENTRIES);
+  console.error(`Widget "${componentType}" crashed:`, error);
+  listeners.forEach((listener) => listener(entries));
+  return entry;
+};
+
+export const getWidgetErrors = () => entries;
+
+// Returns an unsubscribe function
+export const subscribeToWidgetErrors = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
@@ -0,0 +1,134 @@
+import { useEffect, useState } from 'react';
+import { listWidgetManifests } from '../widgetManifests';
+import { injectWidgetLayer } from './inject';
+import { GET_STATUS, PLACE_WIDGET, SET_VISIBLE } from './messages';
+
+const getActiveTab = async () => {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return tab;
+};
+
+// Extensions can only run on web pages and local files
+const getStatus = async () => {
+  const tab = await getActiveTab();
+  if (!/^(https?|file):/.test(tab.url ?? '')) return 'unavailable';
+  try {
+    return await chrome.tabs.sendMessage(tab.id, { type: GET_STATUS });
+  } catch {
+    // Nothing is listening until the layer is switched on for this page
+    return { visible: false };
+  }
+};
+
+// Adds the widget layer to the page first if it isn't there yet
+const sendToActiveTab = async (message) => {
+  const tab = await getActiveTab();
+  let status;
+  try {
+    status = await chrome.tabs.sendMessage(tab.id, message);
+  } catch {
+    await injectWidgetLayer(tab.id);
+    status = await chrome.tabs.sendMessage(tab.id, message);
+  }
+  if (!status) {
+    throw new Error('The widget layer did not start');
+  }
+  return status;
+};
+
+// The extension's toolbar popup: switches the widget layer on or off for the current site and adds
+// widgets to it
+const Popup = () => {
+  // null until the content script answers; "unavailable" on pages extensions can't run on
+  const [status, setStatus] = useState(null);
+  const [widgets] = useState(listWidgetManifests);
+  const [search, setSearch] = useState('');
+  const [placed, setPlaced] = useState('');
+
+  useEffect(() => {
+    getStatus()
+      .then(setStatus)
+      .catch(() => setStatus('unavailable'));
+  }, []);
+
+  const send = async (message) => {
+    try {
+      setStatus(await sendToActiveTab(message));
+    } catch (error) {
+      console.error('Error talking to the page:', error);
+      setStatus('unavailable');
+    }
+  };
+
+  const placeWidget = async ({ id, manifest }) => {
+    await send({ type: PLACE_WIDGET, widgetId: id });
+    setPlaced(manifest.name);
+  };
+
+  if (status === null) {
+    return <p className="p-4 text-sm text-gray-500">Connecting to the page...</p>;
+  }
+
+  if (status === 'unavailable') {
+    return (
+      <p className="p-4 text-sm text-gray-600">
+        Widgets can&apos;t be added to this page. Browser pages and the extension store don&apos;t allow it; try another website,
+        or reload this one if the extension was just installed.
+      </p>
+    );
+  }
+
+  const query = search.trim().toLowerCase();
+  const visibleWidgets = widgets.filter(({ manifest }) => (
+    !query || [manifest.name, manifest.description, manifest.category].some((text) => text.toLowerCase().includes(query))
+  ));
+
+  return (
+    <div className="p-4 space-y-3">
+      <label className="flex items-center justify-between gap-2 font-semibold">
+        Show widgets on this site
+        <input
+          type="checkbox"
+          className="w-4 h-4"
+          checked={status.visible}
+          onChange={(e) => send({ type: SET_VISIBLE, visible: e.target.checked })}
+        />
+      </label>
+
+      {status.visible ? (
+        <>
+          <input
+            type="search"
+            className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+            placeholder="Search widgets..."
+            aria-label="Search widgets"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+          <ul className="max-h-80 overflow-y-auto space-y-1">
+            {visibleWidgets.map((widget) => (
+              <li key={widget.id}>
+                <button
+                  type="button"
+                  className="w-full flex items-start gap-2 p-2 rounded text-left hover:bg-gray-100"
+                  onClick={() => placeWidget(widget)}
+                >
+                  <span className="text-xl leading-none">{widget.manifest.icon}</span>
+                  <span>
+                    <span className="block text-sm font-medium">{widget.manifest.name}</span>
+                    <span className="block text-xs text-gray-500">{widget.manifest.description}</span>
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+          {placed && <p className="text-xs text-green-700" role="status">Added {placed} to the page.</p>}
+        </>
+      ) : (
+        <p className="text-sm text-gray-500">Switch the widgets on to add some to this page.</p>
+      )}
+    </div>
+  );
+};
+
+export default Popup;
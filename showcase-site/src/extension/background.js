@@ -0,0 +1,14 @@
+import { injectWidgetLayer } from './inject';
+import { isLayerSwitchedOn } from './siteStorage';
+
+// Service worker of the browser extension (npm run build:extension). Adds the widget layer back to
+// pages of sites where it was left switched on.
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.status !== 'complete' || !/^https?:/.test(tab.url ?? '')) return;
+
+  isLayerSwitchedOn(new URL(tab.url).origin)
+    .then((switchedOn) => switchedOn && injectWidgetLayer(tabId))
+    .catch((error) => {
+      console.error(`Error adding the widget layer to ${tab.url}:`, error);
+    });
+});
@@ -0,0 +1,65 @@
+import { readJSON, setStorageBackend, writeJSON } from '../storage';
+import { requestPlacement } from '../boardEvents';
+import { findOverlay, isOverlayVisible, mountOverlay, setOverlayVisible } from '../overlay/mount';
+import { createSiteStorage, VISIBLE_KEY } from './siteStorage';
+import { GET_STATUS, PLACE_WIDGET, SET_VISIBLE } from './messages';
+
+// Content script of the browser extension (npm run build:extension). It adds the same widget layer
+// as the overlay build, but only on sites where it was switched on from the popup, which is also
+// the only place it is injected into (see inject.js).
+const MESSAGE_TYPES = [GET_STATUS, SET_VISIBLE, PLACE_WIDGET];
+
+// The popup and the background worker can both inject the script into the same page
+const INJECTED_FLAG = '__hackiethonWidgetLayer';
+
+const isVisible = () => {
+  const host = findOverlay();
+  return Boolean(host) && isOverlayVisible(host);
+};
+
+const setVisible = (visible) => {
+  const host = findOverlay();
+  if (host) {
+    setOverlayVisible(host, visible);
+  } else if (visible) {
+    mountOverlay();
+  }
+  writeJSON(VISIBLE_KEY, visible);
+};
+
+const start = async () => {
+  setStorageBackend(await createSiteStorage(window.location.origin));
+
+  if (readJSON(VISIBLE_KEY, false)) {
+    setVisible(true);
+  }
+};
+
+const handleMessage = (message) => {
+  if (message.type === SET_VISIBLE) {
+    setVisible(message.visible);
+  } else if (message.type === PLACE_WIDGET && isVisible()) {
+    // The popup only offers widgets while the layer is showing, so the DropZone is listening
+    requestPlacement(message.widgetId);
+  }
+};
+
+if (!window[INJECTED_FLAG]) {
+  window[INJECTED_FLAG] = true;
+
+  const ready = start();
+  ready.catch((error) => {
+    console.error('Error starting the widget layer:', error);
+  });
+
+  // Listening straight away, so a message sent just after injection is answered once storage has loaded
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (!MESSAGE_TYPES.includes(message?.type)) return;
+
+    ready.then(() => {
+      handleMessage(message);
+      sendResponse({ visible: isVisible() });
+    }, () => sendResponse(null));
+    return true;
+  });
+}
@@ -0,0 +1,7 @@
+// The content script carries every widget, so it is only added to sites the layer is switched on for:
+// by the popup when it is switched on, and by the background worker when such a site is opened again.
+const CONTENT_SCRIPT = 'content.js';
+
+export const injectWidgetLayer = (tabId) => {
+  return chrome.scripting.executeScript({ target: { tabId }, files: [CONTENT_SCRIPT] });
+};
@@ -0,0 +1,5 @@
+// Messages the popup sends to the content script of the active tab. Each is answered with the
+// overlay's status: { visible }.
+export const GET_STATUS = 'hackiethon:get-status';
+export const SET_VISIBLE = 'hackiethon:set-visible';
+export const PLACE_WIDGET = 'hackiethon:place-widget';
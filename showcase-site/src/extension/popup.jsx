@@ -0,0 +1,5 @@
+import ReactDOM from 'react-dom/client';
+import Popup from './Popup';
+import '../index.css';
+
+ReactDOM.createRoot(document.getElementById('root')).render(<Popup />);
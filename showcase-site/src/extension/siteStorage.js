@@ -0,0 +1,38 @@
+// localStorage-shaped storage for one site, kept in chrome.storage.local where the page can't read
+// or clear it. The app reads storage synchronously, so the site's items are loaded up front and
+// written back in the background.
+const siteStorageKey = (site) => `site:${site}`;
+
+// Whether the widget layer is showing on a site, saved by the content script
+export const VISIBLE_KEY = 'overlayVisible';
+
+export const createSiteStorage = async (site) => {
+  const siteKey = siteStorageKey(site);
+  const saved = await chrome.storage.local.get(siteKey);
+  const items = { ...saved[siteKey] };
+
+  const persist = () => {
+    chrome.storage.local.set({ [siteKey]: items }).catch((error) => {
+      console.error(`Error saving widget layout for ${site}:`, error);
+    });
+  };
+
+  return {
+    getItem: (key) => (Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = String(value);
+      persist();
+    },
+    removeItem: (key) => {
+      delete items[key];
+      persist();
+    },
+  };
+};
+
+// Read without loading the site's items into a page; values are stored as JSON like localStorage's
+export const isLayerSwitchedOn = async (site) => {
+  const siteKey = siteStorageKey(site);
+  const saved = await chrome.storage.local.get(siteKey);
+  return saved[siteKey]?.[VISIBLE_KEY] === 'true';
+};
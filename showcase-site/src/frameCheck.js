@@ -0,0 +1,85 @@
+// Works out whether a site can be shown in a frame on this page, from its X-Frame-Options and
+// Content-Security-Policy frame-ancestors headers. Browsers only let us read those headers when the
+// site allows cross-origin requests, so "unknown" is a common, honest answer.
+
+const HIDDEN_HEADERS_REASON = 'The site doesn\'t let other pages read its headers, so we can\'t tell whether it may be framed. If it stays blank, it blocks embedding.';
+
+const hostMatches = (pattern, host) => {
+  if (pattern.startsWith('*.')) {
+    return host.endsWith(pattern.slice(1));
+  }
+  return pattern === host;
+};
+
+// One frame-ancestors source expression, e.g. 'self', https:, *.example.com, https://example.com:8080
+const sourceAllows = (source, target, embedder) => {
+  if (source === '*') return true;
+  if (source === "'self'") return target.origin === embedder.origin;
+  if (/^[a-z][a-z0-9+.-]*:$/i.test(source)) return embedder.protocol === source.toLowerCase();
+
+  const match = source.match(/^(?:([a-z][a-z0-9+.-]*):\/\/)?([^/:]+)(?::(\d+|\*))?/i);
+  if (!match) return false;
+  const [, scheme, host, port] = match;
+  if (scheme && `${scheme.toLowerCase()}:` !== embedder.protocol) return false;
+  if (port && port !== '*' && port !== (embedder.port || (embedder.protocol === 'https:' ? '443' : '80'))) return false;
+  return hostMatches(host.toLowerCase(), embedder.hostname);
+};
+
+// Result of the frame-ancestors directive, or null when the policy doesn't set one
+const checkFrameAncestors = (csp, target, embedder) => {
+  const directive = csp
+    .split(',')
+    .flatMap((policy) => policy.split(';'))
+    .map((part) => part.trim().split(/\s+/))
+    .find(([name]) => name.toLowerCase() === 'frame-ancestors');
+  if (!directive) return null;
+
+  const sources = directive.slice(1);
+  if (sources.length === 0 || sources.includes("'none'")) return false;
+  return sources.some((source) => sourceAllows(source, target, embedder));
+};
+
+export const checkFrameHeaders = (headers, targetUrl, embedderUrl = window.location.href) => {
+  const target = new URL(targetUrl);
+  const embedder = new URL(embedderUrl);
+
+  // frame-ancestors takes precedence over X-Frame-Options in every current browser
+  const csp = headers.get('content-security-policy');
+  const allowedByCsp = csp ? checkFrameAncestors(csp, target, embedder) : null;
+  if (allowedByCsp === false) {
+    return { status: 'blocked', reason: 'Its Content-Security-Policy (frame-ancestors) only lets approved sites embed it.' };
+  }
+  if (allowedByCsp === true) {
+    return { status: 'allowed', reason: 'Its Content-Security-Policy allows this page to embed it.' };
+  }
+
+  const frameOptions = headers.get('x-frame-options')?.trim().toUpperCase();
+  if (frameOptions === 'DENY') {
+    return { status: 'blocked', reason: 'It sends X-Frame-Options: DENY, which forbids showing it in a frame.' };
+  }
+  if (frameOptions === 'SAMEORIGIN' && target.origin !== embedder.origin) {
+    return { status: 'blocked', reason: 'It sends X-Frame-Options: SAMEORIGIN, so only its own pages may frame it.' };
+  }
+
+  // Cross-origin responses hide both headers unless the site exposes them, so absence proves nothing
+  if (!csp && !frameOptions && target.origin !== embedder.origin) {
+    return { status: 'unknown', reason: HIDDEN_HEADERS_REASON };
+  }
+  return { status: 'allowed', reason: 'It doesn\'t send any headers that forbid framing.' };
+};
+
+export const checkFrameable = async (url) => {
+  let response;
+  try {
+    response = await fetch(url, { method: 'HEAD', mode: 'cors', credentials: 'omit' });
+  } catch {
+    return { status: 'unknown', reason: HIDDEN_HEADERS_REASON };
+  }
+
+  try {
+    return checkFrameHeaders(response.headers, url);
+  } catch (error) {
+    console.error(`Error checking whether ${url} can be framed:`, error);
+    return { status: 'unknown', reason: 'Its headers couldn\'t be checked.' };
+  }
+};
@@ -0,0 +1,54 @@
+import { readJSON, removeItem, writeJSON } from './storage';
+
+// Undo/redo for board edits. Each entry is a full snapshot of the board's components.
+export const MAX_HISTORY = 50;
+
+const historyKey = (boardId) => `history:${boardId}`;
+
+export const emptyHistory = () => ({ past: [], future: [] });
+
+export const loadHistory = (boardId) => {
+  const saved = readJSON(historyKey(boardId));
+  return Array.isArray(saved?.past) && Array.isArray(saved?.future) ? saved : emptyHistory();
+};
+
+export const saveHistory = (boardId, history) => {
+  writeJSON(historyKey(boardId), history);
+};
+
+export const clearHistory = (boardId) => {
+  removeItem(historyKey(boardId));
+};
+
+// A new edit discards anything that could have been redone
+export const recordChange = (history, previous) => {
+  return { past: [...history.past, previous].slice(-MAX_HISTORY), future: [] };
+};
+
+// Internal widget state (notes typed, counters...) isn't part of the history, so a restored
+// snapshot keeps whatever state the widget has now. Widgets that no longer exist get theirs back.
+const keepCurrentState = (snapshot, current) => {
+  const currentById = new Map(current.map((comp) => [comp.id, comp]));
+  return snapshot.map((comp) => {
+    const live = currentById.get(comp.id);
+    return live ? { ...comp, state: live.state } : comp;
+  });
+};
+
+export const undo = (history, current) => {
+  if (history.past.length === 0) return null;
+  const snapshot = history.past[history.past.length - 1];
+  return {
+    layout: keepCurrentState(snapshot, current),
+    history: { past: history.past.slice(0, -1), future: [current, ...history.future].slice(0, MAX_HISTORY) },
+  };
+};
+
+export const redo = (history, current) => {
+  if (history.future.length === 0) return null;
+  const [snapshot, ...future] = history.future;
+  return {
+    layout: keepCurrentState(snapshot, current),
+    history: { past: [...history.past, current].slice(-MAX_HISTORY), future },
+  };
+};
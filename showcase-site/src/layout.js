@@ -0,0 +1,111 @@
+// Geometry helpers for placing widgets on the DropZone
+
+// Smallest a widget may be resized to when its manifest doesn't say otherwise
+export const MIN_WIDGET_SIZE = { width: 80, height: 60 };
+
+// Footprint assumed when placing a widget that doesn't declare a defaultSize
+export const FALLBACK_WIDGET_SIZE = { width: 300, height: 200 };
+
+const clamp = (value, min, max) => {
+  return Math.min(Math.max(value, min ?? -Infinity), max ?? Infinity);
+};
+
+// Keeps a { width, height } inside a manifest's minSize / maxSize
+export const clampSize = (size, minSize = {}, maxSize = {}) => {
+  return {
+    width: Math.round(clamp(size.width, minSize.width ?? MIN_WIDGET_SIZE.width, maxSize.width)),
+    height: Math.round(clamp(size.height, minSize.height ?? MIN_WIDGET_SIZE.height, maxSize.height)),
+  };
+};
+
+export const DEFAULT_GRID_SIZE = 20;
+// How close (in px) an edge or centre has to be before it snaps to a neighbour
+export const GUIDE_THRESHOLD = 6;
+
+export const snapToGrid = (position, gridSize) => {
+  return {
+    x: Math.max(0, Math.round(position.x / gridSize) * gridSize),
+    y: Math.max(0, Math.round(position.y / gridSize) * gridSize),
+  };
+};
+
+export const rectsOverlap = (a, b) => {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+};
+
+// Lines of a rect that can line up with a neighbour: start edge, centre and end edge
+const anchors = (start, length) => [start, start + length / 2, start + length];
+
+// Finds the closest neighbour edge/centre on each axis within the threshold, moves the rect
+// onto it and returns the guide lines to draw ({ axis: 'x' | 'y', at }).
+export const alignToNeighbours = (rect, others, threshold = GUIDE_THRESHOLD) => {
+  const snapAxis = (axis, length) => {
+    let best = null;
+    anchors(rect[axis], rect[length]).forEach((own) => {
+      others.forEach((other) => {
+        anchors(other[axis], other[length]).forEach((target) => {
+          const distance = Math.abs(target - own);
+          if (distance <= threshold && (!best || distance < best.distance)) {
+            best = { distance, at: target, offset: target - own };
+          }
+        });
+      });
+    });
+    return best;
+  };
+
+  const x = snapAxis('x', 'width');
+  const y = snapAxis('y', 'height');
+  const guides = [];
+  if (x) guides.push({ axis: 'x', at: x.at });
+  if (y) guides.push({ axis: 'y', at: y.at });
+
+  return {
+    position: { x: rect.x + (x?.offset ?? 0), y: rect.y + (y?.offset ?? 0) },
+    guides,
+  };
+};
+
+// Nudges a rect to the nearest spot that doesn't overlap any of the others, searching outwards
+// in steps. Falls back to the requested position if the board is too crowded.
+export const avoidCollisions = (rect, others, step = DEFAULT_GRID_SIZE, maxDistance = 2000) => {
+  const collides = (candidate) => others.some((other) => rectsOverlap(candidate, other));
+  if (!collides(rect)) {
+    return { x: rect.x, y: rect.y };
+  }
+
+  for (let distance = step; distance <= maxDistance; distance += step) {
+    const candidates = [
+      { x: rect.x + distance, y: rect.y },
+      { x: rect.x, y: rect.y + distance },
+      { x: rect.x - distance, y: rect.y },
+      { x: rect.x, y: rect.y - distance },
+      { x: rect.x + distance, y: rect.y + distance },
+      { x: rect.x - distance, y: rect.y + distance },
+      { x: rect.x + distance, y: rect.y - distance },
+      { x: rect.x - distance, y: rect.y - distance },
+    ].filter((candidate) => candidate.x >= 0 && candidate.y >= 0);
+
+    const free = candidates.find((candidate) => !collides({ ...rect, ...candidate }));
+    if (free) return free;
+  }
+  return { x: rect.x, y: rect.y };
+};
+
+// Final resting place for a widget: grid snap or neighbour alignment, then collision avoidance.
+export const placeRect = (rect, others, { gridEnabled = false, gridSize = DEFAULT_GRID_SIZE } = {}) => {
+  let position;
+  let guides = [];
+  if (gridEnabled) {
+    position = snapToGrid(rect, gridSize);
+  } else {
+    ({ position, guides } = alignToNeighbours(rect, others));
+  }
+
+  const free = avoidCollisions({ ...rect, ...position }, others, gridEnabled ? gridSize : GUIDE_THRESHOLD * 2);
+  // Guides only make sense if collision avoidance didn't move the widget away from them
+  if (free.x !== position.x || free.y !== position.y) {
+    guides = [];
+  }
+  return { position: free, guides };
+};
@@ -0,0 +1,131 @@
+import { getWidgetId } from './registry';
+
+// Layouts exported to a file for moving between machines or sharing with teammates.
+//
+// Version history:
+//   1 - a bare array of components, as stored under "droppedComponents" before named boards
+//   2 - { format, version, exportedAt, board: { name }, widgets: [...] }
+export const LAYOUT_FILE_FORMAT = 'hackiethon-layout';
+export const LAYOUT_FILE_VERSION = 2;
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+// Each entry upgrades a layout of that version to the next one
+const migrations = {
+  1: (widgets) => ({
+    format: LAYOUT_FILE_FORMAT,
+    version: 2,
+    board: { name: 'Imported board' },
+    widgets,
+  }),
+};
+
+const detectVersion = (layout) => {
+  if (Array.isArray(layout)) return 1;
+  if (isPlainObject(layout) && layout.format === LAYOUT_FILE_FORMAT) return layout.version;
+  return undefined;
+};
+
+const toWidget = (comp) => ({
+  id: comp.id,
+  componentType: comp.componentType,
+  position: comp.position,
+  size: comp.size,
+  props: comp.props ?? {},
+  state: comp.state,
+});
+
+export const exportLayout = (board, components) => {
+  return {
+    format: LAYOUT_FILE_FORMAT,
+    version: LAYOUT_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    board: { name: board.name },
+    widgets: components.map(toWidget),
+  };
+};
+
+export const downloadLayout = (board, components) => {
+  const layout = exportLayout(board, components);
+  const blob = new Blob([JSON.stringify(layout, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${board.name.replace(/[^\w-]+/g, '-').toLowerCase() || 'board'}.layout.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const validateWidget = (widget, index) => {
+  const where = `widgets[${index}]`;
+  if (!isPlainObject(widget)) throw new Error(`${where} must be an object`);
+  if (typeof widget.componentType !== 'string' || !widget.componentType) {
+    throw new Error(`${where}.componentType must be a string`);
+  }
+  const { position, size } = widget;
+  if (!isPlainObject(position) || !Number.isFinite(position.x) || !Number.isFinite(position.y)) {
+    throw new Error(`${where}.position must have numeric x and y`);
+  }
+  if (size !== undefined && (!isPlainObject(size) || !Number.isFinite(size.width) || !Number.isFinite(size.height))) {
+    throw new Error(`${where}.size must have numeric width and height`);
+  }
+  if (widget.props !== undefined && !isPlainObject(widget.props)) {
+    throw new Error(`${where}.props must be an object`);
+  }
+  if (widget.state !== undefined && !isPlainObject(widget.state)) {
+    throw new Error(`${where}.state must be an object`);
+  }
+};
+
+// Parses, migrates and validates a layout file. Throws an Error if the file can't be used at all;
+// widgets whose componentType isn't in the registry are left out and listed in unknownTypes.
+export const parseLayoutFile = (text) => {
+  let layout;
+  try {
+    layout = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+
+  let version = detectVersion(layout);
+  if (!Number.isInteger(version)) {
+    throw new Error('The file is not a widget layout');
+  }
+  // Versions start at 1, and there is nothing to migrate from anything else
+  if (version < 1 || version > LAYOUT_FILE_VERSION) {
+    throw new Error(`The file is layout version ${version}, this site only understands versions 1 to ${LAYOUT_FILE_VERSION}`);
+  }
+  while (version < LAYOUT_FILE_VERSION) {
+    layout = migrations[version](layout);
+    version = layout.version;
+  }
+
+  if (!Array.isArray(layout.widgets)) {
+    throw new Error('"widgets" must be an array');
+  }
+  layout.widgets.forEach(validateWidget);
+
+  const unknownTypes = new Set();
+  const usedIds = new Set();
+  const components = [];
+  layout.widgets.forEach((widget, index) => {
+    const componentType = getWidgetId(widget.componentType);
+    if (!componentType) {
+      unknownTypes.add(widget.componentType);
+      return;
+    }
+    // Ids only need to be unique within a board; repair missing or clashing ones
+    let id = Number.isFinite(widget.id) ? widget.id : Date.now() + index;
+    while (usedIds.has(id)) id += 1;
+    usedIds.add(id);
+    components.push({ ...toWidget(widget), id, componentType });
+  });
+
+  return {
+    name: typeof layout.board?.name === 'string' && layout.board.name ? layout.board.name : 'Imported board',
+    components,
+    unknownTypes: Array.from(unknownTypes),
+  };
+};
@@ -2,11 +2,13 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
 import { DndProvider } from 'react-dnd';
-import { HTML5Backend } from 'react-dnd-html5-backend';
+import { dndBackend, dndOptions, isTouchBackend } from './dndBackend';
+import DragPreviewLayer from './DragPreviewLayer';
 import './index.css';
 
 ReactDOM.createRoot(document.getElementById('root')).render(
-  <DndProvider backend={HTML5Backend}>
+  <DndProvider backend={dndBackend} options={dndOptions}>
     <App />
+    {isTouchBackend && <DragPreviewLayer />}
   </DndProvider>
 );
\ No newline at end of file
@@ -0,0 +1,172 @@
+// Widget manifests describe a widget to the registry, the Dropdown palette and the DropZone.
+// A widget opts in with a sidecar file next to its module, e.g. weather-widget.manifest.js:
+//
+//   export const manifest = { id: 'weather-widget', name: 'Weather', category: 'Utilities', ... };
+//
+// Every field is optional; anything missing is derived from the widget's file name.
+
+export const DEFAULT_CATEGORY = 'Other';
+
+// Kinds of prop a widget can declare in its propsSchema; each gets a matching field in the settings panel
+export const PROP_TYPES = ['string', 'number', 'enum', 'color', 'boolean', 'list'];
+
+const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const VERSION_PATTERN = /^\d+\.\d+\.\d+(?:[-+][0-9A-Za-z.-]+)?$/;
+
+// "notepad-Component.jsx" -> "notepad-component", "MyWidget.jsx" -> "my-widget"
+export const idFromPath = (path) => {
+  return path
+    .split('/')
+    .pop()
+    .replace(/\.[jt]sx?$/, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .replace(/[^A-Za-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .toLowerCase();
+};
+
+// "weather-widget" -> "Weather Widget"
+const nameFromId = (id) => {
+  return id
+    .split('-')
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+};
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+const normalizeSize = (size, field) => {
+  if (size === undefined) return undefined;
+  if (!isPlainObject(size)) {
+    throw new Error(`"${field}" must be an object with width and height`);
+  }
+  const normalized = {};
+  ['width', 'height'].forEach((dimension) => {
+    const value = size[dimension];
+    if (value === undefined) return;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+      throw new Error(`"${field}.${dimension}" must be a positive number`);
+    }
+    normalized[dimension] = value;
+  });
+  return normalized;
+};
+
+const optionalString = (manifest, field) => {
+  const value = manifest[field];
+  if (value !== undefined && typeof value !== 'string') {
+    throw new Error(`"${field}" must be a string`);
+  }
+  return value;
+};
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+const defaultForType = (field) => {
+  switch (field.type) {
+    case 'number': return field.min ?? 0;
+    case 'enum': return field.options[0].value;
+    case 'color': return '#000000';
+    case 'boolean': return false;
+    case 'list': return [];
+    default: return '';
+  }
+};
+
+// Whether a value (e.g. one entered in the settings panel) fits a prop's schema field
+export const isValidPropValue = (field, value) => {
+  switch (field.type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'enum': return field.options.some((option) => option.value === value);
+    case 'color': return typeof value === 'string' && COLOR_PATTERN.test(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'list': return Array.isArray(value) && value.every((item) => typeof item === 'string');
+    default: return false;
+  }
+};
+
+// { city: { type: 'string', label: 'City', default: 'Melbourne' }, units: { type: 'enum', options: [...] } }
+const normalizePropsSchema = (schema) => {
+  if (schema === undefined) return {};
+  if (!isPlainObject(schema)) {
+    throw new Error('"propsSchema" must be an object');
+  }
+
+  return Object.fromEntries(Object.entries(schema).map(([prop, field]) => {
+    const where = `propsSchema.${prop}`;
+    if (!isPlainObject(field) || !PROP_TYPES.includes(field.type)) {
+      throw new Error(`"${where}.type" must be one of ${PROP_TYPES.join(', ')}`);
+    }
+
+    const normalized = { ...field, label: typeof field.label === 'string' ? field.label : prop };
+    if (field.type === 'enum') {
+      if (!Array.isArray(field.options) || field.options.length === 0) {
+        throw new Error(`"${where}.options" must be a non-empty array`);
+      }
+      // Options may be plain values or { value, label }
+      normalized.options = field.options.map((option) => (
+        isPlainObject(option) ? { value: option.value, label: String(option.label ?? option.value) } : { value: option, label: String(option) }
+      ));
+    }
+
+    if (field.default === undefined) {
+      normalized.default = defaultForType(normalized);
+    } else if (!isValidPropValue(normalized, field.default)) {
+      throw new Error(`"${where}.default" is not a valid ${field.type}`);
+    }
+    return [prop, normalized];
+  }));
+};
+
+// Validates a manifest and fills in defaults. Throws an Error describing the first problem found.
+export const normalizeManifest = (manifest = {}, { path, fallbackId } = {}) => {
+  if (!isPlainObject(manifest)) {
+    throw new Error('manifest must be an object');
+  }
+
+  const id = manifest.id ?? fallbackId ?? (path ? idFromPath(path) : undefined);
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+    throw new Error(`"id" must be lower-case kebab-case, got ${JSON.stringify(id)}`);
+  }
+
+  const version = optionalString(manifest, 'version') ?? '0.0.0';
+  if (!VERSION_PATTERN.test(version)) {
+    throw new Error(`"version" must look like 1.2.3, got ${JSON.stringify(version)}`);
+  }
+
+  if (manifest.defaultProps !== undefined && !isPlainObject(manifest.defaultProps)) {
+    throw new Error('"defaultProps" must be an object');
+  }
+  const propsSchema = normalizePropsSchema(manifest.propsSchema);
+  const schemaDefaults = Object.fromEntries(Object.entries(propsSchema).map(([prop, field]) => [prop, field.default]));
+  const defaultProps = { ...schemaDefaults, ...manifest.defaultProps };
+
+  const minSize = normalizeSize(manifest.minSize, 'minSize');
+  const maxSize = normalizeSize(manifest.maxSize, 'maxSize');
+  const defaultSize = normalizeSize(manifest.defaultSize, 'defaultSize');
+  if (minSize && maxSize) {
+    ['width', 'height'].forEach((dimension) => {
+      if (minSize[dimension] && maxSize[dimension] && minSize[dimension] > maxSize[dimension]) {
+        throw new Error(`"minSize.${dimension}" is larger than "maxSize.${dimension}"`);
+      }
+    });
+  }
+
+  return {
+    id,
+    name: optionalString(manifest, 'name') || nameFromId(id),
+    description: optionalString(manifest, 'description') || '',
+    category: optionalString(manifest, 'category') || DEFAULT_CATEGORY,
+    author: optionalString(manifest, 'author') || '',
+    icon: optionalString(manifest, 'icon') || '🧩',
+    version,
+    defaultProps,
+    propsSchema,
+    defaultSize,
+    minSize,
+    maxSize,
+  };
+};
@@ -0,0 +1,47 @@
+import { useState } from 'react';
+import { LayoutGrid, X } from 'lucide-react';
+import Dropdown from '../Dropdown';
+import DropZone from '../Dropzone';
+import { useBoards } from '../boards';
+import { emptyBackdrop } from '../backdrop';
+import { readJSON, writeJSON } from '../storage';
+import './Overlay.css';
+
+const EDITING_KEY = 'overlayEditing';
+
+// The page itself is the backdrop
+const PAGE_BACKDROP = emptyBackdrop();
+
+// Widget layer injected into someone else's page. Placed widgets are always shown; the palette
+// and board toolbar only while editing, so the page stays usable.
+const Overlay = () => {
+    const boards = useBoards();
+    const [editing, setEditing] = useState(() => readJSON(EDITING_KEY, false));
+
+    const toggleEditing = () => {
+        setEditing(!editing);
+        writeJSON(EDITING_KEY, !editing);
+    };
+
+    return (
+        <div className={`overlay ${editing ? 'overlay--editing' : ''}`}>
+            {editing && (
+                <div className="overlay-palette">
+                    <Dropdown />
+                </div>
+            )}
+            <DropZone boardId={boards.activeBoardId} backdrop={PAGE_BACKDROP} overlay editing={editing} />
+            <button
+                type="button"
+                className="overlay-launcher"
+                onClick={toggleEditing}
+                aria-pressed={editing}
+                title={editing ? 'Done editing widgets' : 'Add and arrange widgets'}
+            >
+                {editing ? <X className="w-5 h-5" /> : <LayoutGrid className="w-5 h-5" />}
+            </button>
+        </div>
+    );
+};
+
+export default Overlay;
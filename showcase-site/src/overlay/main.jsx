@@ -0,0 +1,15 @@
+import { setStorageNamespace } from '../storage';
+import { findOverlay, isOverlayVisible, mountOverlay, setOverlayVisible } from './mount';
+
+// Entry point of the overlay build (npm run build:overlay): the widget layer as one script that a
+// bookmarklet or userscript can inject into any page. localStorage is per origin, so every site
+// gets its own boards; the prefix keeps them apart from the site's own keys.
+setStorageNamespace('hackiethon:');
+
+// Running the bookmarklet again hides or shows the layer instead of adding a second one
+const existing = findOverlay();
+if (existing) {
+  setOverlayVisible(existing, !isOverlayVisible(existing));
+} else {
+  mountOverlay();
+}
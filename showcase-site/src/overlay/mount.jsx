@@ -0,0 +1,41 @@
+import ReactDOM from 'react-dom/client';
+import { DndProvider } from 'react-dnd';
+import { dndBackend, dndOptions, isTouchBackend } from '../dndBackend';
+import DragPreviewLayer from '../DragPreviewLayer';
+import { mountStyles } from '../shadowStyles';
+import Overlay from './Overlay';
+import '../index.css';
+
+const HOST_ID = 'hackiethon-widget-layer';
+
+// The layer's host element, if it has already been added to this page
+export const findOverlay = () => document.getElementById(HOST_ID);
+
+export const isOverlayVisible = (host) => host.style.display !== 'none';
+
+export const setOverlayVisible = (host, visible) => {
+  host.style.display = visible ? '' : 'none';
+};
+
+// Adds the widget layer to the page and returns its host element
+export const mountOverlay = () => {
+  const host = document.createElement('div');
+  host.id = HOST_ID;
+  Object.assign(host.style, { position: 'fixed', inset: '0', zIndex: '2147483647', pointerEvents: 'none' });
+  document.body.appendChild(host);
+
+  // Page styles can't reach into the shadow root, and ours can't leak out of it
+  const shadowRoot = host.attachShadow({ mode: 'open' });
+  mountStyles(shadowRoot);
+  const container = document.createElement('div');
+  shadowRoot.appendChild(container);
+
+  // Drag events are retargeted at the shadow boundary, so the backend has to listen inside it
+  ReactDOM.createRoot(container).render(
+    <DndProvider backend={dndBackend} options={{ ...dndOptions, rootElement: container }}>
+      <Overlay />
+      {isTouchBackend && <DragPreviewLayer />}
+    </DndProvider>
+  );
+  return host;
+};
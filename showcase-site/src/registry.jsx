@@ -1,38 +1,175 @@
+import { createElement, lazy } from 'react';
+import { normalizeManifest } from './manifest';
+import { clearBrokenWidget, reportBrokenWidget } from './brokenWidgetLog';
+import { WIDGET_MANIFESTS } from './widgetManifests';
+
+// Manifests are tiny and loaded up front so the palette can list every widget. The widget modules
+// (and heavy dependencies such as pdfjs or recharts) are split into their own chunks and only
+// fetched when a widget is about to be shown.
+// NOTE: USE LITERALS AND NOT VARIABLES FOR PATH NAME -- UPDATE IF FOLDER NAME CHANGES
+const WIDGET_MODULES = {
+  widgets: () => import.meta.glob('./widgets/*.jsx'),
+  'submission-widgets': () => import.meta.glob('./submission-widgets/*.jsx'),
+};
+
+// Layouts saved before manifests existed refer to widgets by COMPONENTNAME
+const legacyAliases = new Map();
+// Pending or finished module loads, by widget id
+const loadedModules = new Map();
+// One React.lazy component per widget id, so re-renders don't remount the widget
+const lazyComponents = new Map();
+
+const registerWidget = (path, load, manifest, source) => {
+  const normalized = normalizeManifest(manifest, { path });
+
+  if (window.componentRegistry.has(normalized.id)) {
+    const existing = window.componentRegistry.get(normalized.id);
+    throw new Error(`Duplicate widget id "${normalized.id}", already used by ${existing.path}`);
+  }
+
+  window.componentRegistry.set(normalized.id, { id: normalized.id, manifest: normalized, source, path, load });
+};
+
 export const initializeComponentRegistry = async () => {
-  if (!window.componentRegistry) {
-    window.componentRegistry = new Map();
+  if (window.componentRegistry) {
+    return;
   }
-  
-  try {
-    // Import widgets from the main widgets folder using Vite's import.meta.glob
-    const mainWidgetsModules = import.meta.glob('./widgets/*.jsx', { eager: true });
-    Object.entries(mainWidgetsModules).forEach(([path, module]) => {
-      const component = module.default;
-      console.log(component);
-      const componentName = component.name
-      
-      // Add to registry
-      window.componentRegistry.set(componentName.toUpperCase(), component);
-    });
-    
-    // Import widgets from the submission widgets folder
-    const submissionWidgetsModules = import.meta.glob('./submission-widgets/*.jsx', { eager: true });
-    Object.entries(submissionWidgetsModules).forEach(([path, module]) => {
-      const component = module.default;
-      const componentName = component.name;
-      // Add to registry
-      window.componentRegistry.set(componentName.toUpperCase(), component);
+  window.componentRegistry = new Map();
+
+  Object.entries(WIDGET_MODULES).forEach(([source, modules]) => {
+    const manifestsByPath = WIDGET_MANIFESTS[source];
+    const modulesByPath = modules();
+
+    // Each widget is registered on its own so one mistake doesn't hide all the others
+    Object.entries(modulesByPath).forEach(([path, load]) => {
+      // "./widgets/weather-widget.jsx" is described by "./widgets/weather-widget.manifest.js"
+      const manifest = manifestsByPath[path.replace(/\.jsx$/, '.manifest.js')];
+      try {
+        registerWidget(path, load, manifest, source);
+      } catch (error) {
+        reportBrokenWidget({ path, source, id: manifest?.id ?? null, error });
+      }
     });
-    
-    console.log('Available components:', Array.from(window.componentRegistry.keys()));
-  } catch (error) {
-    console.error('Error with dynamic imports:', error);
+
+    Object.keys(manifestsByPath)
+      .filter((path) => !modulesByPath[path.replace(/\.manifest\.js$/, '.jsx')])
+      .forEach((path) => {
+        reportBrokenWidget({ path, source, error: new Error('No widget module next to this manifest') });
+      });
+  });
+
+  // Check every widget up front while developing, so broken submissions are reported without placing them
+  if (import.meta.env.DEV) {
+    loadAllWidgets();
   }
 };
 
-// Helper function to get a component by type
+const resolveId = (type) => {
+  if (!type || !window.componentRegistry) return undefined;
+  if (window.componentRegistry.has(type)) return type;
+  return legacyAliases.get(String(type).toUpperCase());
+};
+
+// Helper function to get a registry entry ({ id, manifest, source, path, load }) by type
+export const getWidget = (type) => {
+  return window.componentRegistry?.get(resolveId(type));
+};
+
+const isComponent = (value) => {
+  return typeof value === 'function' || (value !== null && typeof value === 'object' && '$$typeof' in value);
+};
+
+// Renders the widget once to static markup, where no effects run, to check the submission
+// guidelines' "return a div" rule. Only while developing: it pulls in react-dom/server and renders
+// outside the board with just the default props, which is fine for catching mistakes but not worth
+// delaying every widget's first mount for in production.
+const checkRendersDiv = async (Component, manifest) => {
+  const { renderToStaticMarkup } = await import('react-dom/server');
+  let markup;
+  try {
+    markup = renderToStaticMarkup(createElement(Component, manifest.defaultProps));
+  } catch {
+    // Some widgets can only render in a real browser; those are left to their error boundary
+    return;
+  }
+  if (!/^<div[\s>]/.test(markup)) {
+    throw new Error('The widget must return a <div> as its outermost element');
+  }
+};
+
+const validateModule = async (widget, module) => {
+  if (!isComponent(module.default)) {
+    throw new Error('The file must have a React component as its default export');
+  }
+  if (import.meta.env.DEV) {
+    await checkRendersDiv(module.default, widget.manifest);
+  }
+  return module;
+};
+
+// Fetches and validates a widget's module, once. Failed loads are reported and forgotten, along with
+// their lazy component, so they can be retried.
+export const loadWidget = (type) => {
+  const widget = getWidget(type);
+  if (!widget) {
+    return Promise.reject(new Error(`Unknown widget type: ${type}`));
+  }
+
+  if (!loadedModules.has(widget.id)) {
+    const loading = widget.load()
+      .then((module) => validateModule(widget, module))
+      .then((module) => {
+        if (module.default.name) {
+          legacyAliases.set(module.default.name.toUpperCase(), widget.id);
+        }
+        // A retry worked, so the widget goes back in the palette
+        clearBrokenWidget(widget.path);
+        return module;
+      }, (error) => {
+        loadedModules.delete(widget.id);
+        lazyComponents.delete(widget.id);
+        reportBrokenWidget({ path: widget.path, source: widget.source, id: widget.id, error });
+        throw error;
+      });
+    loadedModules.set(widget.id, loading);
+  }
+  return loadedModules.get(widget.id);
+};
+
+// Starts fetching a widget ahead of time, e.g. while its palette card is hovered
+export const preloadWidget = (type) => {
+  // Failures are already reported to the broken widgets list
+  loadWidget(type).catch(() => {});
+};
+
+// Loads every widget; only needed to resolve legacy COMPONENTNAME keys, which come from the modules
+export const loadAllWidgets = () => {
+  return Promise.allSettled(getRegisteredWidgets().map((widget) => loadWidget(widget.id)));
+};
+
+// Helper function to get a component by type. It suspends until the widget's chunk has loaded.
 export const getComponent = (type) => {
-  return window.componentRegistry.get(type.toUpperCase());
+  const id = resolveId(type);
+  if (!id) return undefined;
+
+  if (!lazyComponents.has(id)) {
+    lazyComponents.set(id, lazy(() => loadWidget(id)));
+  }
+  return lazyComponents.get(id);
 };
 
+// Helper function to get a widget's manifest by type
+export const getManifest = (type) => {
+  return getWidget(type)?.manifest;
+};
 
+// Canonical id for a type, upgrading legacy COMPONENTNAME keys
+export const getWidgetId = (type) => {
+  return resolveId(type);
+};
+
+// All registered widgets, optionally limited to one source folder
+export const getRegisteredWidgets = (source) => {
+  const widgets = Array.from(window.componentRegistry?.values() ?? []);
+  return source ? widgets.filter((widget) => widget.source === source) : widgets;
+};
@@ -0,0 +1,33 @@
+// Stylesheets of the builds that render into shadow roots (the overlay, the extension's content
+// script and the custom elements). Their Vite configs turn every CSS import into a call to addStyle,
+// so the CSS lands inside each shadow root instead of the host page's <head>.
+const styles = [];
+// Shadow roots currently showing our components
+const roots = new Set();
+// How many of the stylesheets each root already has, so a root that comes back isn't given duplicates
+const injected = new WeakMap();
+
+const inject = (root) => {
+  const count = injected.get(root) ?? 0;
+  styles.slice(count).forEach((css) => {
+    const style = document.createElement('style');
+    style.textContent = css;
+    root.appendChild(style);
+  });
+  injected.set(root, styles.length);
+};
+
+export const addStyle = (css) => {
+  styles.push(css);
+  // Stylesheets of widgets loaded later are added as they arrive
+  roots.forEach(inject);
+};
+
+export const mountStyles = (shadowRoot) => {
+  roots.add(shadowRoot);
+  inject(shadowRoot);
+};
+
+export const unmountStyles = (shadowRoot) => {
+  roots.delete(shadowRoot);
+};
@@ -0,0 +1,56 @@
+// JSON helpers over localStorage. Failures (quota, private mode, corrupt data) are logged, never thrown.
+
+// Prefix for every key. Empty on the showcase site; the overlay build (src/overlay) sets one so its
+// keys can't collide with the localStorage of the page it is injected into.
+let namespace = '';
+
+export const setStorageNamespace = (prefix) => {
+  namespace = prefix;
+};
+
+// Anything with localStorage's getItem / setItem / removeItem. The browser extension swaps in
+// extension storage so layouts are kept away from the page; null means localStorage.
+let backend = null;
+
+export const setStorageBackend = (next) => {
+  backend = next;
+};
+
+const store = () => backend ?? localStorage;
+
+export const readJSON = (key, fallback = null) => {
+  try {
+    const saved = store().getItem(namespace + key);
+    return saved === null ? fallback : JSON.parse(saved);
+  } catch (error) {
+    console.error(`Error reading "${key}" from storage:`, error);
+    return fallback;
+  }
+};
+
+export const writeJSON = (key, value) => {
+  try {
+    store().setItem(namespace + key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Error writing "${key}" to storage:`, error);
+  }
+};
+
+export const removeItem = (key) => {
+  try {
+    store().removeItem(namespace + key);
+  } catch (error) {
+    console.error(`Error removing "${key}" from storage:`, error);
+  }
+};
+
+// Calls listener when another tab changes the key. Only localStorage reports changes made elsewhere.
+export const onStorageChange = (key, listener) => {
+  const handler = (event) => {
+    if (backend === null && event.storageArea === localStorage && (event.key === null || event.key === namespace + key)) {
+      listener();
+    }
+  };
+  window.addEventListener('storage', handler);
+  return () => window.removeEventListener('storage', handler);
+};
@@ -0,0 +1,10 @@
+// Optional: describe your widget to the showcase site. Every field can be left out.
+export const manifest = {
+  id: 'my-widget',
+  name: 'My Widget',
+  description: 'A template to build your own widget from.',
+  category: 'Submissions',
+  author: 'Your team name',
+  icon: '✨',
+  version: '0.1.0',
+};
@@ -0,0 +1,9 @@
+export const manifest = {
+  id: 'pdf-question-generator',
+  name: 'PDF Quiz',
+  description: 'Turn a PDF into multiple-choice questions with AI explanations.',
+  category: 'Submissions',
+  icon: '📄',
+  version: '1.0.0',
+  minSize: { width: 360, height: 320 },
+};
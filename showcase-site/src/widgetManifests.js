@@ -0,0 +1,24 @@
+import { normalizeManifest } from './manifest';
+
+// Every widget's sidecar manifest, by source folder. Kept apart from the widget modules so a page
+// that only lists widgets (the extension's popup) doesn't bundle them.
+// NOTE: USE LITERALS AND NOT VARIABLES FOR PATH NAME -- UPDATE IF FOLDER NAME CHANGES
+export const WIDGET_MANIFESTS = {
+  widgets: import.meta.glob('./widgets/*.manifest.js', { eager: true, import: 'manifest' }),
+  'submission-widgets': import.meta.glob('./submission-widgets/*.manifest.js', { eager: true, import: 'manifest' }),
+};
+
+// [{ id, manifest, source }] for every manifest that is valid; the registry reports the rest
+export const listWidgetManifests = () => {
+  return Object.entries(WIDGET_MANIFESTS).flatMap(([source, manifestsByPath]) => (
+    Object.entries(manifestsByPath).flatMap(([path, manifest]) => {
+      try {
+        // Ids are derived from the widget's file, not its manifest's
+        const normalized = normalizeManifest(manifest, { path: path.replace(/\.manifest\.js$/, '.jsx') });
+        return [{ id: normalized.id, manifest: normalized, source }];
+      } catch {
+        return [];
+      }
+    })
+  ));
+};
@@ -0,0 +1,40 @@
+import { createContext, useCallback, useContext, useState } from 'react';
+
+// Each widget placed on the DropZone is rendered inside a WidgetInstanceProvider carrying its saved state.
+// Widgets rendered anywhere else (e.g. as a preview in the Dropdown) have no instance.
+export const WidgetInstanceContext = createContext(null);
+
+// Drop-in replacement for useState whose value is saved with this widget instance in the layout.
+// Values must be JSON-serializable. Outside the DropZone it behaves exactly like useState.
+export const useWidgetState = (key, initialValue) => {
+    const instance = useContext(WidgetInstanceContext);
+    const [localValue, setLocalValue] = useState(initialValue);
+
+    const hasSaved = instance !== null && Object.prototype.hasOwnProperty.call(instance.state, key);
+    const resolveInitial = () => (typeof initialValue === 'function' ? initialValue() : initialValue);
+    const value = instance === null ? localValue : (hasSaved ? instance.state[key] : resolveInitial());
+
+    const instanceSetState = instance?.setState;
+    const setValue = useCallback((next) => {
+        if (!instanceSetState) {
+            setLocalValue(next);
+            return;
+        }
+        // Functional updates are resolved against the latest saved value inside the DropZone
+        instanceSetState(key, (previous) => {
+            const current = previous === undefined
+                ? (typeof initialValue === 'function' ? initialValue() : initialValue)
+                : previous;
+            return typeof next === 'function' ? next(current) : next;
+        });
+    }, [instanceSetState, key, initialValue]);
+
+    return [value, setValue];
+};
+
+// Lets a widget tell its host about something, e.g. emit('convert', { amount, result }). Embedded as
+// a custom element this becomes a DOM event on the element; elsewhere it is ignored.
+export const useWidgetEvent = () => {
+    const emit = useContext(WidgetInstanceContext)?.emit;
+    return useCallback((name, detail) => emit?.(name, detail), [emit]);
+};
@@ -1,17 +1,72 @@
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
+import { ArrowLeftRight, X } from 'lucide-react';
+import { useWidgetEvent, useWidgetState } from '../widgetState';
+import { CACHE_MAX_AGE, getRate, getRates } from './currency/ratesService';
+import { getRatesProvider } from './currency/providers';
+import { currencyName } from './currency/currencies';
+import CurrencyPicker from './currency/CurrencyPicker';
+import RateHistoryChart from './currency/RateHistoryChart';
 import './currency-converter.css';
 
-export const CurrencyConverter = () => {
-  const [result, setResult] = useState('');
-  const [amount, setAmount] = useState('');
-  const [fromCurrency, setFromCurrency] = useState('USD');
-  const [toCurrency, setToCurrency] = useState('USD');
-
-  const convertCurrency = () => {
-    // Dummy conversion logic for demonstration.
-    // You would typically call an API to get up-to-date conversion rates.
-    const convertedAmount = amount; // Replace with real conversion logic
-    setResult(`${amount} ${fromCurrency} equals ${convertedAmount} ${toCurrency}`);
+const DEFAULT_TARGETS = ['EUR', 'GBP', 'JPY'];
+
+const formatMoney = (amount, currency) => {
+  return new Intl.NumberFormat(undefined, { style: 'currency', currency, maximumFractionDigits: 4 }).format(amount);
+};
+
+const formatRate = (rate) => Number(rate.toPrecision(6));
+
+const formatDate = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, { dateStyle: 'medium', timeZone: 'UTC' });
+
+export const CurrencyConverter = ({ defaultFrom = 'USD', defaultTo = 'EUR' }) => {
+  const [amount, setAmount] = useWidgetState('amount', '');
+  const [fromCurrency, setFromCurrency] = useWidgetState('from', defaultFrom);
+  const [toCurrency, setToCurrency] = useWidgetState('to', defaultTo);
+  const [targets, setTargets] = useWidgetState('targets', DEFAULT_TARGETS);
+  const [historyRange, setHistoryRange] = useWidgetState('historyRange', '1M');
+  const [provider] = useState(getRatesProvider);
+  const [rates, setRates] = useState(null);
+  const [error, setError] = useState('');
+  const emit = useWidgetEvent();
+
+  const loadRates = useCallback(async (options) => {
+    try {
+      setRates(await getRates({ provider, ...options }));
+      setError('');
+    } catch (err) {
+      console.error('Error fetching exchange rates:', err);
+      setError('Exchange rates couldn\'t be loaded. Check your connection and try again.');
+    }
+  }, [provider]);
+
+  // Rates are refreshed while the widget is open, and every figure follows along
+  useEffect(() => {
+    loadRates();
+    const timer = setInterval(() => loadRates({ maxAge: 0 }), CACHE_MAX_AGE);
+    return () => clearInterval(timer);
+  }, [loadRates]);
+
+  const value = parseFloat(amount);
+  const hasAmount = !Number.isNaN(value);
+  const rateTo = (currency) => (rates ? getRate(rates.data, fromCurrency, currency) : null);
+  const rate = rateTo(toCurrency);
+  const result = hasAmount && rate !== null ? value * rate : null;
+
+  useEffect(() => {
+    if (result !== null) emit('convert', { amount: value, from: fromCurrency, to: toCurrency, result, rate });
+  }, [emit, value, fromCurrency, toCurrency, result, rate]);
+
+  const swapCurrencies = () => {
+    setFromCurrency(toCurrency);
+    setToCurrency(fromCurrency);
+  };
+
+  const addTarget = (code) => {
+    setTargets((prev) => (prev.includes(code) ? prev : [...prev, code]));
+  };
+
+  const removeTarget = (code) => {
+    setTargets((prev) => prev.filter((target) => target !== code));
   };
 
   return (
@@ -20,47 +75,62 @@ export const CurrencyConverter = () => {
       <input
         type="number"
         placeholder="Enter amount"
+        aria-label="Amount"
         min="0"
         value={amount}
         onChange={(e) => setAmount(e.target.value)}
       />
-      <br />
-      <select
-        value={fromCurrency}
-        onChange={(e) => setFromCurrency(e.target.value)}
-        id = "fromCurrency"
-      >
-        <option value="USD">USD - US Dollar</option>
-        <option value="EUR">EUR - Euro</option>
-        <option value="JPY">JPY - Japanese Yen</option>
-        <option value="GBP">GBP - British Pound</option>
-        <option value="CNY">CNY - Chinese Yuan</option>
-        <option value="AUD">AUD - Australian Dollar</option>
-        <option value="CAD">CAD - Canadian Dollar</option>
-        <option value="CHF">CHF - Swiss Franc</option>
-        <option value="HKD">HKD - Hong Kong Dollar</option>
-        <option value="SGD">SGD - Singapore Dollar</option>
-      </select>
-      <span> To </span>
-      <select
-        value={toCurrency}
-        onChange={(e) => setToCurrency(e.target.value)}
-        id = "fromCurrency"
-      >
-        <option value="USD">USD - US Dollar</option>
-        <option value="EUR">EUR - Euro</option>
-        <option value="JPY">JPY - Japanese Yen</option>
-        <option value="GBP">GBP - British Pound</option>
-        <option value="CNY">CNY - Chinese Yuan</option>
-        <option value="AUD">AUD - Australian Dollar</option>
-        <option value="CAD">CAD - Canadian Dollar</option>
-        <option value="CHF">CHF - Swiss Franc</option>
-        <option value="HKD">HKD - Hong Kong Dollar</option>
-        <option value="SGD">SGD - Singapore Dollar</option>
-      </select>
-      <br />
-      <button onClick={convertCurrency}>Convert</button>
-      {result && <h3>{result}</h3>}
+      <div className="converter__pair">
+        <CurrencyPicker label="Convert from" value={fromCurrency} onChange={setFromCurrency} />
+        <button type="button" className="converter__swap" onClick={swapCurrencies} aria-label="Swap currencies" title="Swap currencies">
+          <ArrowLeftRight className="w-4 h-4" />
+        </button>
+        <CurrencyPicker label="Convert to" value={toCurrency} onChange={setToCurrency} />
+      </div>
+
+      {error && <p className="converter__error">{error}</p>}
+      {rates && (
+        <>
+          {result !== null && <h3>{formatMoney(value, fromCurrency)} equals {formatMoney(result, toCurrency)}</h3>}
+          <p className="converter__rate">
+            {rate === null
+              ? `${provider.name} has no rate for ${fromCurrency} to ${toCurrency}.`
+              : `1 ${fromCurrency} = ${formatRate(rate)} ${toCurrency} · ${provider.name} rates for ${formatDate(rates.data.date)}`}
+          </p>
+          {rates.stale && (
+            <p className="converter__stale">
+              Offline: using the rates saved at {new Date(rates.fetchedAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}.
+            </p>
+          )}
+        </>
+      )}
+
+      {fromCurrency !== toCurrency && rate !== null && (
+        <RateHistoryChart from={fromCurrency} to={toCurrency} range={historyRange} onRangeChange={setHistoryRange} provider={provider} />
+      )}
+
+      <table className="converter__table">
+        <caption>{hasAmount ? formatMoney(value, fromCurrency) : `1 ${fromCurrency}`} in other currencies</caption>
+        <tbody>
+          {targets.map((code) => {
+            const targetRate = rateTo(code);
+            return (
+              <tr key={code}>
+                <th scope="row" title={currencyName(code)}>{code}</th>
+                <td>
+                  {targetRate === null ? 'No rate' : formatMoney((hasAmount ? value : 1) * targetRate, code)}
+                </td>
+                <td>
+                  <button type="button" className="converter__remove" onClick={() => removeTarget(code)} aria-label={`Remove ${code}`}>
+                    <X className="w-3 h-3" />
+                  </button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <CurrencyPicker label="Add a currency" value={null} onChange={addTarget} placeholder="+ Add currency" />
     </div>
   );
 }
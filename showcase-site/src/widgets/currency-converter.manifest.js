@@ -0,0 +1,26 @@
+// The codes from currency/currencies.js without their names: manifests load up front, so the full table stays with the widget
+const CURRENCY_OPTIONS = (
+  'AED AFN ALL AMD AOA ARS AUD AWG AZN BAM BBD BDT BGN BHD BIF BMD BND BOB BRL BSD ' +
+  'BTN BWP BYN BZD CAD CDF CHF CLP CNY COP CRC CUP CVE CZK DJF DKK DOP DZD EGP ERN ' +
+  'ETB EUR FJD FKP GBP GEL GHS GIP GMD GNF GTQ GYD HKD HNL HTG HUF IDR ILS INR IQD ' +
+  'IRR ISK JMD JOD JPY KES KGS KHR KMF KPW KRW KWD KYD KZT LAK LBP LKR LRD LSL LYD ' +
+  'MAD MDL MGA MKD MMK MNT MOP MRU MUR MVR MWK MXN MYR MZN NAD NGN NIO NOK NPR NZD ' +
+  'OMR PAB PEN PGK PHP PKR PLN PYG QAR RON RSD RUB RWF SAR SBD SCR SDG SEK SGD SHP ' +
+  'SLE SOS SRD SSP STN SVC SYP SZL THB TJS TMT TND TOP TRY TTD TWD TZS UAH UGX USD ' +
+  'UYU UZS VES VND VUV WST XAF XCD XCG XOF XPF YER ZAR ZMW ZWG'
+).split(' ');
+
+export const manifest = {
+  id: 'currency-converter',
+  name: 'Currency Converter',
+  description: 'Convert an amount into any number of currencies at the latest reference rates, and see how the rate moved.',
+  category: 'Finance',
+  icon: '💱',
+  version: '1.2.0',
+  minSize: { width: 320, height: 280 },
+  defaultSize: { width: 440, height: 620 },
+  propsSchema: {
+    defaultFrom: { type: 'enum', label: 'Convert from', options: CURRENCY_OPTIONS, default: 'USD' },
+    defaultTo: { type: 'enum', label: 'Convert to', options: CURRENCY_OPTIONS, default: 'EUR' },
+  },
+};
@@ -0,0 +1,73 @@
+import { useId, useState } from 'react';
+import { currencyName, searchCurrencies } from './currencies';
+
+// A currency chooser with search over the full ISO 4217 list. `value` may be null, in which case
+// the placeholder is shown, e.g. for adding a currency to a list.
+const CurrencyPicker = ({ label, value, onChange, placeholder = 'Choose a currency' }) => {
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const listId = useId();
+  const matches = searchCurrencies(query);
+
+  const close = () => {
+    setOpen(false);
+    setQuery('');
+  };
+
+  const choose = (code) => {
+    onChange(code);
+    close();
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      close();
+    } else if (event.key === 'Enter' && matches.length > 0) {
+      event.preventDefault();
+      choose(matches[0].code);
+    }
+  };
+
+  return (
+    <div
+      className="currency-picker"
+      onBlur={(event) => {
+        if (!event.currentTarget.contains(event.relatedTarget)) close();
+      }}
+    >
+      {open ? (
+        <input
+          type="search"
+          className="currency-picker__search"
+          placeholder="Search currencies"
+          aria-label={`${label}: search currencies`}
+          aria-controls={listId}
+          value={query}
+          onChange={(event) => setQuery(event.target.value)}
+          onKeyDown={handleKeyDown}
+          autoFocus
+        />
+      ) : (
+        <button type="button" className="currency-picker__toggle" aria-label={label} onClick={() => setOpen(true)}>
+          {value ? `${value} - ${currencyName(value)}` : placeholder}
+        </button>
+      )}
+
+      {open && (
+        // Keeps focus in the search box while an option is clicked
+        <ul id={listId} className="currency-picker__list" role="listbox" aria-label={label} onMouseDown={(event) => event.preventDefault()}>
+          {matches.map(({ code, name }) => (
+            <li key={code} role="option" aria-selected={code === value}>
+              <button type="button" className="currency-picker__option" tabIndex={-1} onClick={() => choose(code)}>
+                <strong>{code}</strong> {name}
+              </button>
+            </li>
+          ))}
+          {matches.length === 0 && <li className="currency-picker__empty">No currencies match &quot;{query}&quot;</li>}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default CurrencyPicker;
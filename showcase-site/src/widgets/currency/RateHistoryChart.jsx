@@ -0,0 +1,70 @@
+import { useEffect, useState } from 'react';
+import { Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import { getRateHistory } from './ratesService';
+
+const HISTORY_RANGES = { '1M': 30, '3M': 90, '1Y': 365 };
+
+const formatDay = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, { day: 'numeric', month: 'short', timeZone: 'UTC' });
+
+// How the rate from one currency to another moved over the chosen range
+const RateHistoryChart = ({ from, to, range, onRangeChange, provider }) => {
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    setError('');
+    getRateHistory(from, to, HISTORY_RANGES[range], { provider })
+      .then((result) => {
+        if (!cancelled) setHistory(result);
+      })
+      .catch((err) => {
+        console.error(`Error fetching the ${from}/${to} rate history:`, err);
+        if (!cancelled) {
+          setHistory(null);
+          setError('The rate history couldn\'t be loaded.');
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [from, to, range, provider]);
+
+  const points = history?.data.points ?? [];
+
+  return (
+    <div className="converter__history">
+      <div className="converter__history-header">
+        <span>{from} → {to}</span>
+        <div role="group" aria-label="History range">
+          {Object.keys(HISTORY_RANGES).map((id) => (
+            <button
+              key={id}
+              type="button"
+              className={`converter__range ${range === id ? 'converter__range--active' : ''}`}
+              onClick={() => onRangeChange(id)}
+            >
+              {id}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && <p className="converter__error">{error}</p>}
+      {history && points.length === 0 && <p className="converter__rate">No history for this pair.</p>}
+      {points.length > 0 && (
+        <ResponsiveContainer width="100%" height={160}>
+          <LineChart data={points} margin={{ top: 8, right: 8, bottom: 0, left: 0 }}>
+            <XAxis dataKey="date" tickFormatter={formatDay} minTickGap={24} fontSize={12} />
+            <YAxis domain={['auto', 'auto']} tickFormatter={(rate) => Number(rate.toPrecision(4))} width={56} fontSize={12} />
+            <Tooltip labelFormatter={formatDay} formatter={(rate) => [Number(rate.toPrecision(6)), `1 ${from} in ${to}`]} />
+            <Line type="monotone" dataKey="rate" stroke="#007bff" strokeWidth={2} dot={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+      {history?.stale && <p className="converter__stale">Offline: showing the history saved earlier.</p>}
+    </div>
+  );
+};
+
+export default RateHistoryChart;
@@ -0,0 +1,28 @@
+import { fromFrankfurter, fromFrankfurterSeries } from './frankfurter';
+import latest from './fixtures/latest.json';
+import history from './fixtures/history.json';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Recorded rates served without touching the network, for working offline and for tests. The
+// history covers a year up to the latest table, for fewer currencies. Pass `rates` or `series` to
+// serve different data.
+export const createFixtureRatesProvider = ({ rates = latest, series = history, delay = 200 } = {}) => {
+  const wait = () => new Promise((resolve) => setTimeout(resolve, delay));
+
+  return {
+    id: 'fixture',
+    name: 'Sample rates',
+    getLatestRates: async () => {
+      await wait();
+      return fromFrankfurter(rates);
+    },
+    // Counted back from the end of the recording rather than from today
+    getHistory: async (from, to, days) => {
+      await wait();
+      const start = new Date(Date.parse(series.end_date) - days * DAY).toISOString().slice(0, 10);
+      const inRange = Object.fromEntries(Object.entries(series.rates).filter(([date]) => date >= start));
+      return fromFrankfurterSeries({ ...series, rates: inRange }, from, to);
+    },
+  };
+};
@@ -0,0 +1,47 @@
+// Frankfurter (https://frankfurter.dev) publishes the European Central Bank's reference rates and
+// needs no API key. Rates are updated once a working day.
+export const FRANKFURTER_ENDPOINT = 'https://api.frankfurter.app';
+
+// The provider-neutral rate table every rates provider returns: how much of each currency one unit
+// of base buys, on the given date. The base itself is included at 1.
+export const fromFrankfurter = (data) => ({
+  base: data.base,
+  date: data.date,
+  rates: { ...data.rates, [data.base]: 1 },
+});
+
+// A time series ({ rates: { [date]: { [currency]: rate } } }, in base) as the history every rates
+// provider returns: one { date, rate } per working day, oldest first, for one unit of `from` in `to`
+export const fromFrankfurterSeries = (data, from, to) => ({
+  from,
+  to,
+  points: Object.entries(data.rates)
+    .map(([date, rates]) => {
+      const all = { ...rates, [data.base]: 1 };
+      return { date, rate: all[from] && all[to] ? all[to] / all[from] : null };
+    })
+    .filter((point) => point.rate !== null)
+    .sort((a, b) => a.date.localeCompare(b.date)),
+});
+
+const isoDaysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+export const createFrankfurterProvider = ({ endpoint = FRANKFURTER_ENDPOINT } = {}) => {
+  const request = async (path) => {
+    const response = await fetch(`${endpoint.replace(/\/$/, '')}/${path}`);
+    if (!response.ok) {
+      throw new Error(`Exchange rate service error (${response.status})`);
+    }
+    return response.json();
+  };
+
+  return {
+    id: 'frankfurter',
+    name: 'European Central Bank (via Frankfurter)',
+    getLatestRates: async () => fromFrankfurter(await request('latest')),
+    getHistory: async (from, to, days) => {
+      const params = new URLSearchParams({ from, to });
+      return fromFrankfurterSeries(await request(`${isoDaysAgo(days)}..?${params}`), from, to);
+    },
+  };
+};
@@ -0,0 +1,31 @@
+import { createFrankfurterProvider, FRANKFURTER_ENDPOINT } from './frankfurter';
+import { createFixtureRatesProvider } from './fixtureRates';
+
+// Exchange rate providers by id. A provider is { id, name, getLatestRates(), getHistory(from, to, days) },
+// resolving to a rate table shaped like fromFrankfurter's and a history shaped like
+// fromFrankfurterSeries's, and rejecting with an Error.
+const providers = {
+  frankfurter: createFrankfurterProvider,
+  fixture: createFixtureRatesProvider,
+};
+
+export const registerRatesProvider = (id, createProvider) => {
+  providers[id] = createProvider;
+};
+
+// Configured in .env (see .env.example):
+//   VITE_RATES_PROVIDER  frankfurter (default) or fixture
+//   VITE_RATES_ENDPOINT  another Frankfurter instance, e.g. a self-hosted one
+export const getRatesConfig = () => ({
+  provider: import.meta.env.VITE_RATES_PROVIDER || 'frankfurter',
+  endpoint: import.meta.env.VITE_RATES_ENDPOINT || FRANKFURTER_ENDPOINT,
+});
+
+export const getRatesProvider = (config = getRatesConfig()) => {
+  const createProvider = providers[config.provider];
+  if (!createProvider) {
+    console.error(`Unknown exchange rate provider "${config.provider}", using frankfurter`);
+    return createFrankfurterProvider(config);
+  }
+  return createProvider(config);
+};
@@ -0,0 +1,65 @@
+import { readJSON, writeJSON } from '../../storage';
+import { getRatesProvider } from './providers';
+
+// Reference rates change once a day, so an hour-old table is as good as a new one
+export const CACHE_MAX_AGE = 60 * 60 * 1000;
+
+// Histories are kept for the most recently viewed pairs and ranges only
+const HISTORY_CACHE_SIZE = 10;
+
+const readCache = (cacheName, key) => readJSON(cacheName, {})[key] ?? null;
+
+const writeCache = (cacheName, key, entry, limit = Infinity) => {
+  const entries = Object.entries({ ...readJSON(cacheName, {}), [key]: entry })
+    .sort(([, a], [, b]) => b.fetchedAt - a.fetchedAt)
+    .slice(0, limit);
+  writeJSON(cacheName, Object.fromEntries(entries));
+};
+
+// Resolves to { data, fetchedAt, provider, stale, error }. Recent data is served from the cache;
+// when the provider fails, the last data fetched is returned with stale set and the error attached,
+// so conversions keep working offline. Throws when nothing was ever fetched.
+const fetchCached = async (cacheName, key, fetchData, { provider, maxAge, limit }) => {
+  // Another provider's rates (sample rates, say) are never passed off as this one's
+  const saved = readCache(cacheName, key);
+  const cached = saved?.provider === provider.id ? saved : null;
+  if (cached && Date.now() - cached.fetchedAt < maxAge) {
+    return { ...cached, provider, stale: false };
+  }
+
+  try {
+    const entry = { data: await fetchData(), fetchedAt: Date.now(), provider: provider.id };
+    writeCache(cacheName, key, entry, limit);
+    return { ...entry, provider, stale: false };
+  } catch (error) {
+    if (!cached) throw error;
+    console.error(`Error fetching exchange rates (${key}), using the last ones fetched:`, error);
+    return { ...cached, provider, stale: true, error };
+  }
+};
+
+// The latest rate table, as the `data` of fetchCached's result
+export const getRates = ({ provider = getRatesProvider(), maxAge = CACHE_MAX_AGE } = {}) => {
+  return fetchCached('exchangeRates', 'latest', provider.getLatestRates, { provider, maxAge });
+};
+
+// The rate from one currency to another over the last `days` days
+export const getRateHistory = (from, to, days, { provider = getRatesProvider(), maxAge = CACHE_MAX_AGE } = {}) => {
+  return fetchCached('exchangeRateHistory', `${from}:${to}:${days}`, () => provider.getHistory(from, to, days), {
+    provider,
+    maxAge,
+    limit: HISTORY_CACHE_SIZE,
+  });
+};
+
+// How much of `to` one unit of `from` buys, or null when the table doesn't cover both currencies
+export const getRate = (table, from, to) => {
+  const fromRate = table.rates[from];
+  const toRate = table.rates[to];
+  return fromRate && toRate ? toRate / fromRate : null;
+};
+
+export const convert = (table, amount, from, to) => {
+  const rate = getRate(table, from, to);
+  return rate === null ? null : amount * rate;
+};
@@ -24,22 +24,26 @@ const responsive = {
     { url: image5 }
   ];
   
-  const ImageSlider = () => {
+  const ImageSlider = ({ autoPlaySpeed = 3, showDots = true, imageUrls = [] }) => {
+    const images = imageUrls.filter(Boolean).length > 0
+      ? imageUrls.filter(Boolean).map((url) => ({ url }))
+      : sliderImages;
+
     return (
 
       <div className="mx-auto w-full max-w-[900px] min-w-6">
         <Carousel
           responsive={responsive}
           autoPlay={true}
-          autoPlaySpeed={3000}
+          autoPlaySpeed={autoPlaySpeed * 1000}
           swipeable={true}
           //draggable={true}
-          showDots={true}
+          showDots={showDots}
           infinite={true}
           partialVisible={false}
           dotListClass="mt-5 flex justify-center"
         >
-          {sliderImages.map((image, index) => (
+          {images.map((image, index) => (
             <div className="overflow-hidden rounded-lg shadow-md mx-[10px]" key={index}>
               <img
                 className="w-full h-auto max-h-[500px] object-cover rounded-lg"
@@ -0,0 +1,20 @@
+export const manifest = {
+  id: "image-slider",
+  name: "Image Slider",
+  description: "An auto-playing carousel of images.",
+  category: "Media",
+  icon: "🖼️",
+  version: "1.0.0",
+  defaultSize: { width: 600, height: 360 },
+  minSize: { width: 240, height: 160 },
+  propsSchema: {
+    autoPlaySpeed: { type: "number", label: "Seconds per slide", default: 3, min: 1, max: 60 },
+    showDots: { type: "boolean", label: "Show dots", default: true },
+    imageUrls: {
+      type: "list",
+      label: "Image URLs",
+      description: "Leave empty to show the sample images.",
+      default: [],
+    },
+  },
+};
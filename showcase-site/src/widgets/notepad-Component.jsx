@@ -1,13 +1,11 @@
-import React, { useState, useEffect } from 'react';
+import React from 'react';
 import { Edit3 } from 'lucide-react';
+import { useWidgetState } from '../widgetState';
 
-const NotepadWidget = () => {
-  const [isOpen, setIsOpen] = useState(true);
-  const [notes, setNotes] = useState(localStorage.getItem('widgetNotes') || '');
-
-  useEffect(() => {
-    localStorage.setItem('widgetNotes', notes);
-  }, [notes]);
+const NotepadWidget = ({ placeholder = 'Write your notes here...', fontSize = 'text-sm' }) => {
+  // Each notepad on the board keeps its own notes
+  const [isOpen, setIsOpen] = useWidgetState('isOpen', true);
+  const [notes, setNotes] = useWidgetState('notes', '');
 
   return (
     <div className="relative mx-auto w-full max-w-[900px]">
@@ -20,10 +18,10 @@ const NotepadWidget = () => {
       }`}
     >
       <textarea
-        className="w-full h-full border-none outline-none resize-none p-2 text-sm text-black"
+        className={`w-full h-full border-none outline-none resize-none p-2 ${fontSize} text-black`}
         value={notes}
         onChange={(e) => setNotes(e.target.value)}
-        placeholder="Write your notes here..."
+        placeholder={placeholder}
         disabled={!isOpen}
       />
     </div>
@@ -0,0 +1,22 @@
+export const manifest = {
+  id: 'notepad',
+  name: 'Notepad',
+  description: 'A collapsible scratchpad for quick notes.',
+  category: 'Productivity',
+  icon: '📝',
+  version: '1.0.0',
+  minSize: { width: 200, height: 160 },
+  propsSchema: {
+    placeholder: { type: 'string', label: 'Placeholder', default: 'Write your notes here...' },
+    fontSize: {
+      type: 'enum',
+      label: 'Text size',
+      options: [
+        { value: 'text-xs', label: 'Small' },
+        { value: 'text-sm', label: 'Medium' },
+        { value: 'text-base', label: 'Large' },
+      ],
+      default: 'text-sm',
+    },
+  },
+};
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from "react";
 
-export const ProgressBarWidget = () => {
+export const ProgressBarWidget = ({ color = "#3b82f6", decimals = 5 }) => {
   const [yearPercent, setYearPercent] = useState(0);
   const [year, setYear] = useState(new Date().getFullYear());
 
@@ -17,14 +17,14 @@ export const ProgressBarWidget = () => {
       const startNextYear = new Date(year + 1, 0, 0);
       const percent =
         (100 * (now - startThisYear)) / (startNextYear - startThisYear);
-      setYearPercent(percent.toFixed(5));
+      setYearPercent(percent.toFixed(decimals));
     };
 
     updateYearPercent();
     const interval = setInterval(updateYearPercent, 1000);
 
     return () => clearInterval(interval);
-  }, [year]);
+  }, [year, decimals]);
 
   return (
     <div className="p-6 max-w-sm mx-auto bg-white rounded-xl text-zinc-900 text-center">
@@ -36,8 +36,8 @@ export const ProgressBarWidget = () => {
       </div>
       <div className="w-full bg-gray-200 rounded-full h-6">
         <div
-          className="bg-blue-500 h-6 rounded-full transition-all duration-500"
-          style={{ width: `${yearPercent}%` }}
+          className="h-6 rounded-full transition-all duration-500"
+          style={{ width: `${yearPercent}%`, backgroundColor: color }}
         ></div>
       </div>
     </div>
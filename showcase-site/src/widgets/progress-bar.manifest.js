@@ -0,0 +1,13 @@
+export const manifest = {
+  id: "progress-bar",
+  name: "Year Progress",
+  description: "How much of the current year has already passed.",
+  category: "Productivity",
+  icon: "⏳",
+  version: "1.0.0",
+  minSize: { width: 320, height: 140 },
+  propsSchema: {
+    color: { type: "color", label: "Bar colour", default: "#3b82f6" },
+    decimals: { type: "number", label: "Decimal places", default: 5, min: 0, max: 8 },
+  },
+};
@@ -1,146 +1,298 @@
-import React, { useState } from "react";
-import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from "recharts";
+import React, { useEffect, useState } from "react";
+import { useWidgetState } from "../widgetState";
+import { getQuote, normalizeSymbol } from "./stocks/stockService";
+import { getStockProvider } from "./stocks/providers";
+import { useQuotes } from "./stocks/useQuotes";
+import { useListingCurrencies } from "./stocks/useListingCurrencies";
+import { formatMoney } from "./stocks/money";
+import { useWatchlists } from "./stocks/watchlists";
+import { describeAlert, notifyAlert, requestNotificationPermission, useStockAlerts } from "./stocks/alerts";
+import { useHoldings } from "./stocks/holdings";
+import PriceChart from "./stocks/PriceChart";
+import AlertsPanel from "./stocks/AlertsPanel";
+import PortfolioPanel from "./stocks/PortfolioPanel";
+
+const NO_STOCKS = [];
+
+const VIEWS = [
+  { id: "watchlist", label: "Watchlist" },
+  { id: "portfolio", label: "Portfolio" },
+];
 
 const StockTracker = () => {
+  const [view, setView] = useWidgetState("view", "watchlist");
   const [ticker, setTicker] = useState("");
-  const [watchlist, setWatchlist] = useState([]);
-  const [selectedStock, setSelectedStock] = useState(null);
+  // Watchlists used to be saved in the widget as full quotes; only their symbols are carried over
+  const [legacyWatchlist] = useWidgetState("watchlist", NO_STOCKS);
+  const { watchlists, createWatchlist, deleteWatchlist, addSymbol, removeSymbol } = useWatchlists(
+    legacyWatchlist.map((stock) => stock.symbol)
+  );
+  const [watchlistId, setWatchlistId] = useWidgetState("watchlistId", null);
+  const [selectedSymbol, setSelectedSymbol] = useState(null);
+  const [chartRange, setChartRange] = useWidgetState("chartRange", "1M");
+  const [provider] = useState(getStockProvider);
+  const { alerts, addAlert, removeAlert, rearmAlert, triggerDueAlerts } = useStockAlerts();
+  const { holdings, saveHolding, saveHoldings, removeHolding } = useHoldings();
+  const [portfolioCurrency, setPortfolioCurrency] = useWidgetState("portfolioCurrency", "USD");
+  const [firedAlerts, setFiredAlerts] = useState([]);
+  const [newListName, setNewListName] = useState(null);
+  const [adding, setAdding] = useState(false);
   const [error, setError] = useState("");
 
-  const fetchStockData = async (symbol) => {
-    try {
-      const response = await fetch(
-        `https://finnhub.io/api/v1/quote?symbol=${symbol.toUpperCase()}&token=cukn881r01qo08i8n480cukn881r01qo08i8n48g`
-      );
-      const data = await response.json();
-
-      if (!data || !data.c) {
-        setError("Invalid ticker or data not found");
-        return null;
-      } else {
-        setError("");
-        return {
-          symbol,
-          currentPrice: data.c,
-          change: data.d,
-          high: data.h,
-          low: data.l,
-          open: data.o,
-          previousClose: data.pc,
-          history: generateMockData(), // Temporary mock data for the graph
-        };
-      }
-    } catch (err) {
-      setError("Error fetching stock data");
-      return null;
-    }
-  };
+  const watchlist = watchlists.find((list) => list.id === watchlistId) ?? watchlists[0];
+  // Alerts are checked for every symbol that has one, watched or not, and holdings are always priced
+  const alertSymbols = alerts.filter((alert) => !alert.triggeredAt).map((alert) => alert.symbol);
+  const holdingSymbols = holdings.map((holding) => holding.symbol);
+  const quotedSymbols = [...new Set([...watchlist.symbols, ...alertSymbols, ...holdingSymbols])].sort();
+  const { quotes, errors, updatedAt, streaming } = useQuotes(quotedSymbols, provider);
+  const currencies = useListingCurrencies(quotedSymbols, provider);
+
+  useEffect(() => {
+    const due = triggerDueAlerts(quotes);
+    if (due.length === 0) return;
+
+    // Shown in the widget too, in case notifications are blocked or missed
+    due.forEach((alert) => notifyAlert(alert, quotes[alert.symbol], currencies[alert.symbol]));
+    setFiredAlerts((prev) => [
+      ...prev.filter((fired) => !due.some((alert) => alert.id === fired.id)),
+      ...due.map((alert) => ({ ...alert, price: quotes[alert.symbol].currentPrice })),
+    ]);
+  }, [alerts, quotes, currencies, triggerDueAlerts]);
 
   const addTicker = async () => {
-    if (!ticker) return;
-    const stock = await fetchStockData(ticker);
-    if (stock) {
-      setWatchlist((prev) => [...prev, stock]);
+    const symbol = normalizeSymbol(ticker);
+    if (!symbol) return;
+    if (watchlist.symbols.includes(symbol)) {
+      setError(`${symbol} is already on ${watchlist.name}`);
+      return;
+    }
+
+    // Check the symbol exists before it goes on the list
+    setAdding(true);
+    try {
+      await getQuote(symbol, { provider });
+      addSymbol(watchlist.id, symbol);
       setTicker("");
+      setError("");
+    } catch (err) {
+      console.error(`Error fetching a quote for ${symbol}:`, err);
+      setError(err.status === 404 ? err.message : "Error fetching stock data");
+    } finally {
+      setAdding(false);
     }
   };
 
   const removeTicker = (symbol) => {
-    setWatchlist(watchlist.filter((stock) => stock.symbol !== symbol));
-    if (selectedStock?.symbol === symbol) setSelectedStock(null);
+    removeSymbol(watchlist.id, symbol);
+    if (selectedSymbol === symbol) setSelectedSymbol(null);
+  };
+
+  const selectStock = (symbol) => {
+    setSelectedSymbol(symbol);
   };
 
-  const selectStock = (stock) => {
-    setSelectedStock(stock);
+  const handleCreateList = (event) => {
+    event.preventDefault();
+    const name = newListName.trim();
+    if (!name) return;
+    setWatchlistId(createWatchlist(name).id);
+    setNewListName(null);
   };
 
-  // Mock stock history data for chart
-  const generateMockData = () => {
-    return Array.from({ length: 10 }, (_, i) => ({
-      time: `Day ${i + 1}`,
-      price: (Math.random() * 10 + 100).toFixed(2),
-    }));
+  const handleDeleteList = () => {
+    if (!window.confirm(`Delete the watchlist "${watchlist.name}"?`)) return;
+    deleteWatchlist(watchlist.id);
+    setWatchlistId(null);
   };
 
+  const handleAddAlert = (symbol, type, value) => {
+    requestNotificationPermission();
+    addAlert(symbol, type, value);
+  };
+
+  const selectedStock = selectedSymbol && quotes[selectedSymbol];
+
   return (
     <div className="max-w-2xl mx-auto p-6 bg-gray-900 text-white rounded-lg shadow-lg">
       <h1 className="text-2xl font-bold text-center mb-4">Stock Tracker</h1>
 
+      <div className="flex justify-center gap-2 mb-4" role="tablist">
+        {VIEWS.map(({ id, label }) => (
+          <button
+            key={id}
+            role="tab"
+            aria-selected={view === id}
+            className={`px-3 py-1 rounded text-sm ${view === id ? "bg-green-500 text-white" : "bg-gray-700 text-gray-300 hover:bg-gray-600"}`}
+            onClick={() => setView(id)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
       {/* Search Input */}
-      <div className="flex mb-4">
-        <input
-          type="text"
-          placeholder="Enter stock ticker (e.g., AAPL)"
-          value={ticker}
-          onChange={(e) => setTicker(e.target.value)}
-          className="flex-1 p-2 rounded text-white"
-        />
-        <button
-          onClick={addTicker}
-          className="ml-2 bg-green-500 text-white px-4 py-2 rounded hover:bg-green-600 transition"
+      {view === "watchlist" && (
+        <form
+          className="flex mb-4"
+          onSubmit={(e) => {
+            e.preventDefault();
+            addTicker();
+          }}
         >
-          + Add
-        </button>
-      </div>
+          <input
+            type="text"
+            placeholder="Enter stock ticker (e.g., AAPL)"
+            value={ticker}
+            onChange={(e) => setTicker(e.target.value)}
+            className="flex-1 p-2 rounded text-white"
+          />
+          <button
+            type="submit"
+            disabled={adding}
+            className="ml-2 bg-green-500 text-white px-4 py-2 rounded hover:bg-green-600 transition disabled:opacity-50"
+          >
+            + Add
+          </button>
+        </form>
+      )}
 
+      {provider.isFallback && (
+        <p className="text-gray-400 text-sm mb-2">No Finnhub API key is configured, so this shows sample data.</p>
+      )}
       {error && <p className="text-red-400 mb-2">{error}</p>}
 
+      {firedAlerts.map((alert) => (
+        <div key={alert.id} className="flex justify-between items-center bg-yellow-500 text-gray-900 p-2 rounded mb-2 text-sm" role="alert">
+          <span>🔔 {describeAlert(alert, currencies[alert.symbol])} (now {formatMoney(alert.price, currencies[alert.symbol])})</span>
+          <button className="font-semibold px-2" onClick={() => setFiredAlerts((prev) => prev.filter((fired) => fired.id !== alert.id))} aria-label="Dismiss">
+            ×
+          </button>
+        </div>
+      ))}
+
+      {view === "portfolio" && (
+        <PortfolioPanel
+          holdings={holdings}
+          quotes={quotes}
+          provider={provider}
+          onSave={saveHolding}
+          onImport={saveHoldings}
+          onRemove={removeHolding}
+          onSelect={selectStock}
+          displayCurrency={portfolioCurrency}
+          onDisplayCurrencyChange={setPortfolioCurrency}
+        />
+      )}
+
       {/* Watchlist */}
-      <div className="bg-gray-800 p-4 rounded-lg mb-4">
-        <h2 className="text-lg font-semibold mb-2">Watchlist</h2>
-        {watchlist.length > 0 ? (
-          <ul>
-            {watchlist.map((stock) => (
-              <li
-                key={stock.symbol}
-                className="flex justify-between items-center p-2 border-b border-gray-700 cursor-pointer hover:bg-gray-700 transition"
-                onClick={() => selectStock(stock)}
-              >
-                <span>{stock.symbol}</span>
-                <div className="flex items-center">
-                  <span className={`mr-2 ${stock.change >= 0 ? "text-green-400" : "text-red-400"}`}>
-                    {stock.change >= 0 ? "▲" : "▼"} ${stock.change.toFixed(2)}
-                  </span>
-                  <button
-                    className="bg-red-500 text-white px-2 py-1 rounded text-sm hover:bg-red-600"
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      removeTicker(stock.symbol);
-                    }}
-                  >
-                    Remove
+      {view === "watchlist" && (
+        <div className="bg-gray-800 p-4 rounded-lg mb-4">
+          <div className="flex justify-between items-center mb-2 gap-2">
+            {newListName === null ? (
+              <div className="flex items-center gap-2">
+                <select
+                  aria-label="Watchlist"
+                  value={watchlist.id}
+                  onChange={(e) => setWatchlistId(e.target.value)}
+                  className="bg-gray-700 text-lg font-semibold rounded p-1"
+                >
+                  {watchlists.map((list) => (
+                    <option key={list.id} value={list.id}>{list.name}</option>
+                  ))}
+                </select>
+                <button className="text-sm text-green-400 hover:underline" onClick={() => setNewListName("")}>
+                  New list
+                </button>
+                {watchlists.length > 1 && (
+                  <button className="text-sm text-red-400 hover:underline" onClick={handleDeleteList}>
+                    Delete list
                   </button>
-                </div>
-              </li>
-            ))}
-          </ul>
-        ) : (
-          <p className="text-gray-400">No stocks added yet</p>
-        )}
-      </div>
+                )}
+              </div>
+            ) : (
+              <form className="flex items-center gap-2" onSubmit={handleCreateList}>
+                <input
+                  type="text"
+                  aria-label="New watchlist name"
+                  placeholder="Watchlist name"
+                  value={newListName}
+                  onChange={(e) => setNewListName(e.target.value)}
+                  className="p-1 rounded bg-gray-700 text-white"
+                  autoFocus
+                />
+                <button type="submit" className="text-sm text-green-400 hover:underline">Create</button>
+                <button type="button" className="text-sm text-gray-400 hover:underline" onClick={() => setNewListName(null)}>Cancel</button>
+              </form>
+            )}
+            {updatedAt && (
+              <span className="text-xs text-gray-400" title={streaming ? "Prices stream live between refreshes" : undefined}>
+                {streaming && "● "}Updated {new Date(updatedAt).toLocaleTimeString()}
+              </span>
+            )}
+          </div>
+          {watchlist.symbols.length > 0 ? (
+            <ul>
+              {watchlist.symbols.map((symbol) => {
+                const stock = quotes[symbol];
+                return (
+                  <li
+                    key={symbol}
+                    className={`flex justify-between items-center p-2 border-b border-gray-700 cursor-pointer hover:bg-gray-700 transition ${selectedSymbol === symbol ? "bg-gray-700" : ""}`}
+                    onClick={() => selectStock(symbol)}
+                  >
+                    <span>{symbol}</span>
+                    <div className="flex items-center">
+                      {stock ? (
+                        <>
+                          <span className="mr-3">{formatMoney(stock.currentPrice, currencies[symbol])}</span>
+                          <span className={`mr-2 ${stock.change >= 0 ? "text-green-400" : "text-red-400"}`}>
+                            {stock.change >= 0 ? "▲" : "▼"} {formatMoney(Math.abs(stock.change), currencies[symbol])} ({stock.changePercent.toFixed(2)}%)
+                          </span>
+                        </>
+                      ) : (
+                        <span className="mr-2 text-gray-400">{errors[symbol] ? "Unavailable" : "Loading..."}</span>
+                      )}
+                      <button
+                        className="bg-red-500 text-white px-2 py-1 rounded text-sm hover:bg-red-600"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          removeTicker(symbol);
+                        }}
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          ) : (
+            <p className="text-gray-400">No stocks added yet</p>
+          )}
+        </div>
+      )}
 
       {/* Stock Details */}
       {selectedStock && (
         <div className="p-4 bg-gray-800 rounded-lg">
           <h2 className="text-lg font-semibold mb-2">{selectedStock.symbol} Details</h2>
-          <p>Current Price: ${selectedStock.currentPrice.toFixed(2)}</p>
-          <p>Open: ${selectedStock.open.toFixed(2)}</p>
-          <p>High: ${selectedStock.high.toFixed(2)}</p>
-          <p>Low: ${selectedStock.low.toFixed(2)}</p>
-          <p>Previous Close: ${selectedStock.previousClose.toFixed(2)}</p>
+          <p>Current Price: {formatMoney(selectedStock.currentPrice, currencies[selectedSymbol])}</p>
+          <p>Open: {formatMoney(selectedStock.open, currencies[selectedSymbol])}</p>
+          <p>High: {formatMoney(selectedStock.high, currencies[selectedSymbol])}</p>
+          <p>Low: {formatMoney(selectedStock.low, currencies[selectedSymbol])}</p>
+          <p>Previous Close: {formatMoney(selectedStock.previousClose, currencies[selectedSymbol])}</p>
 
           {/* Stock Price Graph */}
-          <div className="mt-4">
-            <h3 className="text-lg font-semibold mb-2">Price Trend</h3>
-            <ResponsiveContainer width="100%" height={200}>
-              <LineChart data={selectedStock.history}>
-                <XAxis dataKey="time" stroke="#ccc" />
-                <YAxis domain={["auto", "auto"]} stroke="#ccc" />
-                <Tooltip />
-                <Line type="monotone" dataKey="price" stroke="#4CAF50" strokeWidth={2} />
-              </LineChart>
-            </ResponsiveContainer>
-          </div>
+          <PriceChart symbol={selectedStock.symbol} currency={currencies[selectedSymbol]} range={chartRange} onRangeChange={setChartRange} provider={provider} />
+
+          <AlertsPanel
+            symbol={selectedStock.symbol}
+            currency={currencies[selectedSymbol]}
+            alerts={alerts.filter((alert) => alert.symbol === selectedStock.symbol)}
+            onAdd={handleAddAlert}
+            onRemove={removeAlert}
+            onRearm={rearmAlert}
+          />
         </div>
       )}
     </div>
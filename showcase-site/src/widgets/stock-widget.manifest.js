@@ -0,0 +1,9 @@
+export const manifest = {
+  id: "stock-tracker",
+  name: "Stock Tracker",
+  description: "Keep live watchlists of tickers, chart their prices, get alerted when they move and track the profit or loss on your holdings.",
+  category: "Finance",
+  icon: "📈",
+  version: "1.3.0",
+  minSize: { width: 360, height: 240 },
+};
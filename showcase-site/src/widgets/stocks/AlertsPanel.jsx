@@ -0,0 +1,72 @@
+import { useState } from "react";
+import { ALERT_TYPES, describeAlert } from "./alerts";
+
+const formatTime = (time) => new Date(time).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+// The alerts set on one symbol, and a form to add more
+const AlertsPanel = ({ symbol, currency, alerts, onAdd, onRemove, onRearm }) => {
+  const [type, setType] = useState("above");
+  const [value, setValue] = useState("");
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const threshold = parseFloat(value);
+    if (Number.isNaN(threshold)) return;
+    onAdd(symbol, type, threshold);
+    setValue("");
+  };
+
+  return (
+    <div className="mt-4">
+      <h3 className="text-lg font-semibold mb-2">Alerts</h3>
+      {alerts.length > 0 && (
+        <ul className="mb-2 text-sm">
+          {alerts.map((alert) => (
+            <li key={alert.id} className="flex justify-between items-center py-1 border-b border-gray-700">
+              <span className={alert.triggeredAt ? "text-gray-400" : ""}>
+                {describeAlert(alert, currency)}
+                {alert.triggeredAt && ` (triggered ${formatTime(alert.triggeredAt)})`}
+              </span>
+              <span className="flex gap-2">
+                {alert.triggeredAt && (
+                  <button className="text-green-400 hover:underline" onClick={() => onRearm(alert.id)}>
+                    Re-arm
+                  </button>
+                )}
+                <button className="text-red-400 hover:underline" onClick={() => onRemove(alert.id)}>
+                  Delete
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form className="flex gap-2" onSubmit={handleSubmit}>
+        <select
+          aria-label="Alert type"
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+          className="p-2 rounded bg-gray-700 text-white text-sm"
+        >
+          {Object.entries(ALERT_TYPES).map(([id, { label }]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          step="any"
+          aria-label="Alert threshold"
+          placeholder={type.startsWith("change") ? "%" : currency ?? "Price"}
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          className="w-24 p-2 rounded bg-gray-700 text-white text-sm"
+        />
+        <button type="submit" className="bg-green-500 text-white px-3 py-1 rounded text-sm hover:bg-green-600 transition">
+          Add alert
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default AlertsPanel;
@@ -0,0 +1,28 @@
+import { PieChart, Pie, Cell, Tooltip, Legend, ResponsiveContainer } from "recharts";
+
+const COLORS = ["#4CAF50", "#3b82f6", "#f59e0b", "#ef4444", "#a855f7", "#14b8a6", "#ec4899", "#84cc16", "#f97316", "#6366f1"];
+
+// Share of the portfolio's market value in each holding. `slices` is [{ symbol, value }] in one currency.
+const AllocationChart = ({ slices, formatValue }) => {
+  const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+  if (total <= 0) return null;
+
+  return (
+    <ResponsiveContainer width="100%" height={220}>
+      <PieChart>
+        <Pie data={slices} dataKey="value" nameKey="symbol" innerRadius={45} outerRadius={80} paddingAngle={1}>
+          {slices.map((slice, index) => (
+            <Cell key={slice.symbol} fill={COLORS[index % COLORS.length]} stroke="none" />
+          ))}
+        </Pie>
+        <Tooltip
+          formatter={(value, symbol) => [`${formatValue(value)} (${((value / total) * 100).toFixed(1)}%)`, symbol]}
+          contentStyle={{ color: "#111" }}
+        />
+        <Legend />
+      </PieChart>
+    </ResponsiveContainer>
+  );
+};
+
+export default AllocationChart;
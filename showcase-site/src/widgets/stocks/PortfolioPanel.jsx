@@ -0,0 +1,281 @@
+import { useEffect, useRef, useState } from "react";
+import { getRate, getRates } from "../currency/ratesService";
+import { getRatesProvider } from "../currency/providers";
+import { CURRENCIES } from "../currency/currencies";
+import { valueHolding } from "./holdings";
+import { downloadHoldings, parseHoldingsCsv } from "./holdingsFile";
+import { normalizeSymbol } from "./stockService";
+import { useListingCurrencies } from "./useListingCurrencies";
+import { formatMoney } from "./money";
+import AllocationChart from "./AllocationChart";
+
+const EMPTY_FORM = { symbol: "", quantity: "", costBasis: "", costCurrency: "USD" };
+
+const inputClass = "p-2 rounded bg-gray-700 text-white text-sm";
+
+const formatSigned = (amount, currency) => `${amount >= 0 ? "+" : ""}${formatMoney(amount, currency)}`;
+
+const changeClass = (amount) => (amount >= 0 ? "text-green-400" : "text-red-400");
+
+// Holdings with their value and profit or loss in the currency they were bought in, totalled in one
+// display currency. Prices are converted from the currency each symbol is quoted in using the
+// currency converter's exchange rates.
+const PortfolioPanel = ({ holdings, quotes, provider, onSave, onImport, onRemove, onSelect, displayCurrency, onDisplayCurrencyChange }) => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formError, setFormError] = useState("");
+  const [importResult, setImportResult] = useState(null);
+  const [ratesProvider] = useState(getRatesProvider);
+  const [rates, setRates] = useState(null);
+  const fileInput = useRef(null);
+  const listingCurrencies = useListingCurrencies(holdings.map((holding) => holding.symbol), provider);
+
+  const needsRates = holdings.some((holding) => (
+    holding.costCurrency !== displayCurrency ||
+    (listingCurrencies[holding.symbol] && listingCurrencies[holding.symbol] !== holding.costCurrency)
+  ));
+
+  useEffect(() => {
+    if (!needsRates) return;
+    getRates({ provider: ratesProvider })
+      .then(setRates)
+      .catch((err) => console.error("Error fetching exchange rates for the portfolio:", err));
+  }, [needsRates, ratesProvider]);
+
+  const exchangeRate = (from, to) => {
+    if (from === to) return 1;
+    return (rates && getRate(rates.data, from, to)) ?? null;
+  };
+
+  const rows = holdings.map((holding) => {
+    const quote = quotes[holding.symbol];
+    const listingCurrency = listingCurrencies[holding.symbol];
+    const toCost = listingCurrency ? exchangeRate(listingCurrency, holding.costCurrency) : null;
+    return {
+      holding,
+      value: quote && toCost !== null ? valueHolding(holding, quote, toCost) : null,
+      rate: exchangeRate(holding.costCurrency, displayCurrency),
+    };
+  });
+
+  // Holdings without a price, listing currency or exchange rate yet are left out of the totals
+  const counted = rows.filter((row) => row.value && row.rate !== null);
+  const sum = (pick) => counted.reduce((total, row) => total + pick(row) * row.rate, 0);
+  const totals = {
+    marketValue: sum((row) => row.value.marketValue),
+    dayChange: sum((row) => row.value.dayChange),
+    totalChange: sum((row) => row.value.totalChange),
+    costBasis: sum((row) => row.holding.costBasis),
+  };
+
+  const updateForm = (changes) => setForm((prev) => ({ ...prev, ...changes }));
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const symbol = normalizeSymbol(form.symbol);
+    const quantity = Number(form.quantity);
+    const costBasis = Number(form.costBasis);
+    if (!symbol) {
+      setFormError("Enter a ticker");
+      return;
+    }
+    if (!(quantity > 0) || form.costBasis === "" || !(costBasis >= 0)) {
+      setFormError("Enter a positive quantity and what you paid in total");
+      return;
+    }
+    onSave({ symbol, quantity, costBasis, costCurrency: form.costCurrency });
+    setForm(EMPTY_FORM);
+    setFormError("");
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+
+    try {
+      const { holdings: imported, errors } = parseHoldingsCsv(await file.text());
+      onImport(imported);
+      setImportResult({ message: `Imported ${imported.length} holding${imported.length === 1 ? "" : "s"} from ${file.name}`, errors });
+    } catch (error) {
+      console.error("Error importing holdings:", error);
+      setImportResult({ message: `Could not import ${file.name}: ${error.message}`, errors: [] });
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 p-4 rounded-lg mb-4">
+      <div className="flex justify-between items-center mb-3">
+        <h2 className="text-lg font-semibold">Portfolio</h2>
+        <select
+          aria-label="Display currency"
+          value={displayCurrency}
+          onChange={(e) => onDisplayCurrencyChange(e.target.value)}
+          className={inputClass}
+        >
+          {CURRENCIES.map(({ code, name }) => (
+            <option key={code} value={code}>{code} - {name}</option>
+          ))}
+        </select>
+      </div>
+
+      {holdings.length > 0 && (
+        <>
+          <div className="grid grid-cols-3 gap-2 text-center mb-3">
+            <div>
+              <p className="text-xs text-gray-400">Market value</p>
+              <p className="font-semibold">{formatMoney(totals.marketValue, displayCurrency)}</p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-400">Today</p>
+              <p className={`font-semibold ${changeClass(totals.dayChange)}`}>{formatSigned(totals.dayChange, displayCurrency)}</p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-400">Total P&amp;L</p>
+              <p className={`font-semibold ${changeClass(totals.totalChange)}`}>
+                {formatSigned(totals.totalChange, displayCurrency)}
+                {totals.costBasis > 0 && ` (${((totals.totalChange / totals.costBasis) * 100).toFixed(2)}%)`}
+              </p>
+            </div>
+          </div>
+          {counted.length < rows.length && (
+            <p className="text-xs text-gray-400 mb-2">
+              {rows.length - counted.length} holding(s) without a price, listing currency or exchange rate yet are left out of the totals.
+            </p>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="text-gray-400 text-xs">
+                <tr>
+                  <th className="text-left p-1">Symbol</th>
+                  <th className="text-right p-1">Qty</th>
+                  <th className="text-right p-1">Price</th>
+                  <th className="text-right p-1">Value</th>
+                  <th className="text-right p-1">Today</th>
+                  <th className="text-right p-1">Total P&amp;L</th>
+                  <th className="p-1" />
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(({ holding, value }) => (
+                  <tr key={holding.symbol} className="border-t border-gray-700 hover:bg-gray-700 cursor-pointer" onClick={() => onSelect(holding.symbol)}>
+                    <td className="p-1">{holding.symbol}</td>
+                    <td className="p-1 text-right">{holding.quantity}</td>
+                    <td className="p-1 text-right">
+                      {quotes[holding.symbol] && listingCurrencies[holding.symbol]
+                        ? formatMoney(quotes[holding.symbol].currentPrice, listingCurrencies[holding.symbol])
+                        : "..."}
+                    </td>
+                    <td className="p-1 text-right">{value ? formatMoney(value.marketValue, holding.costCurrency) : "..."}</td>
+                    <td className={`p-1 text-right ${value ? changeClass(value.dayChange) : ""}`}>
+                      {value && formatSigned(value.dayChange, holding.costCurrency)}
+                    </td>
+                    <td className={`p-1 text-right ${value ? changeClass(value.totalChange) : ""}`}>
+                      {value && formatSigned(value.totalChange, holding.costCurrency)}
+                      {value?.totalChangePercent != null && ` (${value.totalChangePercent.toFixed(1)}%)`}
+                    </td>
+                    <td className="p-1 text-right whitespace-nowrap">
+                      <button
+                        className="text-green-400 hover:underline mr-2"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setForm({ ...holding, quantity: String(holding.quantity), costBasis: String(holding.costBasis) });
+                        }}
+                      >
+                        Edit
+                      </button>
+                      <button
+                        className="text-red-400 hover:underline"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          onRemove(holding.symbol);
+                        }}
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <AllocationChart
+            slices={counted.map((row) => ({ symbol: row.holding.symbol, value: row.value.marketValue * row.rate }))}
+            formatValue={(value) => formatMoney(value, displayCurrency)}
+          />
+        </>
+      )}
+      {holdings.length === 0 && <p className="text-gray-400 mb-3">No holdings yet</p>}
+
+      <form className="flex flex-wrap gap-2 mt-3" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          aria-label="Ticker"
+          placeholder="Ticker"
+          value={form.symbol}
+          onChange={(e) => updateForm({ symbol: e.target.value })}
+          className={`${inputClass} w-24`}
+        />
+        <input
+          type="number"
+          step="any"
+          min="0"
+          aria-label="Quantity"
+          placeholder="Quantity"
+          value={form.quantity}
+          onChange={(e) => updateForm({ quantity: e.target.value })}
+          className={`${inputClass} w-24`}
+        />
+        <input
+          type="number"
+          step="any"
+          min="0"
+          aria-label="Cost basis (total paid)"
+          placeholder="Total paid"
+          value={form.costBasis}
+          onChange={(e) => updateForm({ costBasis: e.target.value })}
+          className={`${inputClass} w-28`}
+        />
+        <select
+          aria-label="Currency paid in"
+          value={form.costCurrency}
+          onChange={(e) => updateForm({ costCurrency: e.target.value })}
+          className={inputClass}
+        >
+          {CURRENCIES.map(({ code }) => (
+            <option key={code} value={code}>{code}</option>
+          ))}
+        </select>
+        <button type="submit" className="bg-green-500 text-white px-3 py-1 rounded text-sm hover:bg-green-600 transition">
+          Save holding
+        </button>
+      </form>
+      {formError && <p className="text-red-400 text-sm mt-1">{formError}</p>}
+
+      <div className="flex gap-3 mt-3 text-sm">
+        <button className="text-green-400 hover:underline" onClick={() => fileInput.current.click()}>
+          Import CSV
+        </button>
+        <button className="text-green-400 hover:underline disabled:opacity-50" onClick={() => downloadHoldings(holdings)} disabled={holdings.length === 0}>
+          Export CSV
+        </button>
+        <input ref={fileInput} type="file" accept=".csv,text/csv" className="hidden" onChange={handleImport} />
+      </div>
+      {importResult && (
+        <div className="text-sm mt-2">
+          <p>{importResult.message}</p>
+          {importResult.errors.length > 0 && (
+            <ul className="text-red-400 list-disc ml-5">
+              {importResult.errors.map((message) => (
+                <li key={message}>{message}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PortfolioPanel;
@@ -0,0 +1,94 @@
+import { useEffect, useState } from "react";
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from "recharts";
+import { CHART_RANGES, getPriceHistory } from "./stockService";
+import { formatMoney } from "./money";
+
+const TICK_FORMATS = {
+  "1D": { hour: "numeric", minute: "2-digit" },
+  "1W": { weekday: "short" },
+  "1M": { day: "numeric", month: "short" },
+  "1Y": { month: "short", year: "2-digit" },
+};
+
+const formatTime = (time, options) => new Date(time).toLocaleString([], options);
+
+// Closing prices of one symbol over the chosen range
+const PriceChart = ({ symbol, currency, range, onRangeChange, provider }) => {
+  const [candles, setCandles] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError("");
+    getPriceHistory(symbol, range, { provider })
+      .then((result) => {
+        if (!cancelled) setCandles(result);
+      })
+      .catch((err) => {
+        console.error(`Error fetching the price history of ${symbol}:`, err);
+        if (!cancelled) {
+          setCandles(null);
+          setError(err.status === 403 ? err.message : "Price history couldn't be loaded");
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [symbol, range, provider]);
+
+  const first = candles?.[0];
+  const last = candles?.[candles.length - 1];
+  const rising = !first || last.close >= first.open;
+  const rangeChange = first ? ((last.close - first.open) / first.open) * 100 : null;
+
+  return (
+    <div className="mt-4">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-lg font-semibold">
+          Price Trend
+          {rangeChange !== null && (
+            <span className={`ml-2 text-sm ${rising ? "text-green-400" : "text-red-400"}`}>
+              {rangeChange >= 0 ? "+" : ""}
+              {rangeChange.toFixed(2)}%
+            </span>
+          )}
+        </h3>
+        <div className="flex gap-1" role="group" aria-label="Chart range">
+          {Object.keys(CHART_RANGES).map((id) => (
+            <button
+              key={id}
+              className={`px-2 py-1 rounded text-sm ${range === id ? "bg-green-500 text-white" : "text-gray-300 hover:bg-gray-700"}`}
+              onClick={() => onRangeChange(id)}
+            >
+              {id}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && <p className="text-red-400 mb-2">{error}</p>}
+      {!error && candles?.length === 0 && <p className="text-gray-400">No trades in this range</p>}
+      {candles?.length > 0 && (
+        <ResponsiveContainer width="100%" height={200}>
+          <LineChart data={candles} style={{ opacity: loading ? 0.5 : 1 }}>
+            <XAxis dataKey="time" stroke="#ccc" tickFormatter={(time) => formatTime(time, TICK_FORMATS[range])} minTickGap={24} />
+            <YAxis domain={["auto", "auto"]} stroke="#ccc" />
+            <Tooltip
+              labelFormatter={(time) => formatTime(time, { dateStyle: "medium", timeStyle: range === "1D" || range === "1W" ? "short" : undefined })}
+              formatter={(price) => [formatMoney(price, currency), "Close"]}
+              contentStyle={{ color: "#111" }}
+            />
+            <Line type="monotone" dataKey="close" stroke={rising ? "#4CAF50" : "#ef4444"} strokeWidth={2} dot={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+    </div>
+  );
+};
+
+export default PriceChart;
@@ -0,0 +1,77 @@
+import { createSharedStore, useSharedStore } from "./sharedStore";
+import { formatMoney } from "./money";
+
+// Alerts belong to symbols rather than watchlists, and like watchlists are shared by every stock widget
+const ALERTS_KEY = "stockAlerts";
+
+const alertsStore = createSharedStore(ALERTS_KEY, []);
+
+// Price alerts compare against the last price, in the currency the symbol is quoted in; change alerts
+// against the day's change in percent
+export const ALERT_TYPES = {
+  above: { label: "Price at or above", format: formatMoney, test: (quote, value) => quote.currentPrice >= value },
+  below: { label: "Price at or below", format: formatMoney, test: (quote, value) => quote.currentPrice <= value },
+  changeAbove: { label: "Day change at or above", format: (value) => `${value}%`, test: (quote, value) => quote.changePercent >= value },
+  changeBelow: { label: "Day change at or below", format: (value) => `${value}%`, test: (quote, value) => quote.changePercent <= value },
+};
+
+export const describeAlert = ({ symbol, type, value }, currency) => {
+  return `${symbol}: ${ALERT_TYPES[type].label.toLowerCase()} ${ALERT_TYPES[type].format(value, currency)}`;
+};
+
+// Alerts fire once, then wait to be re-armed
+const findDueAlerts = (alerts, quotes) => {
+  return alerts.filter((alert) => !alert.triggeredAt && quotes[alert.symbol] && ALERT_TYPES[alert.type].test(quotes[alert.symbol], alert.value));
+};
+
+// Marks the alerts that are due at these quotes as triggered and returns them. Checked against the
+// shared list rather than a widget's last render, so two widgets can't both fire the same alert.
+const triggerDueAlerts = (quotes) => {
+  let due = [];
+  alertsStore.update((list) => {
+    due = findDueAlerts(list, quotes);
+    if (due.length === 0) return list;
+    const now = Date.now();
+    return list.map((alert) => (due.includes(alert) ? { ...alert, triggeredAt: now } : alert));
+  });
+  return due;
+};
+
+export const requestNotificationPermission = async () => {
+  if (!("Notification" in window) || Notification.permission !== "default") return;
+  try {
+    await Notification.requestPermission();
+  } catch (error) {
+    console.error("Error requesting permission for notifications:", error);
+  }
+};
+
+// Shows a browser notification when allowed. Returns whether one was shown.
+export const notifyAlert = (alert, quote, currency) => {
+  if (!("Notification" in window) || Notification.permission !== "granted") return false;
+  try {
+    new Notification(`${alert.symbol} alert`, {
+      body: `${describeAlert(alert, currency)}. Now ${formatMoney(quote.currentPrice, currency)} (${quote.changePercent.toFixed(2)}% today).`,
+      tag: alert.id,
+    });
+    return true;
+  } catch (error) {
+    console.error("Error showing a notification:", error);
+    return false;
+  }
+};
+
+// Alerts have no widget of their own, so each one fires in whichever widget sees a due quote first
+export const useStockAlerts = () => {
+  const alerts = useSharedStore(alertsStore);
+
+  return {
+    alerts,
+    addAlert: (symbol, type, value) => {
+      alertsStore.update((list) => [...list, { id: `alert-${Date.now().toString(36)}`, symbol, type, value, triggeredAt: null }]);
+    },
+    removeAlert: (id) => alertsStore.update((list) => list.filter((alert) => alert.id !== id)),
+    rearmAlert: (id) => alertsStore.update((list) => list.map((alert) => (alert.id === id ? { ...alert, triggeredAt: null } : alert))),
+    triggerDueAlerts,
+  };
+};
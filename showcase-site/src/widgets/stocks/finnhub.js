@@ -0,0 +1,99 @@
+// Finnhub's stock API (https://finnhub.io/docs/api). Quotes are on the free plan; candles need a
+// plan that includes them.
+export const FINNHUB_ENDPOINT = "https://finnhub.io/api/v1";
+export const FINNHUB_STREAM_ENDPOINT = "wss://ws.finnhub.io";
+
+// The provider-neutral quote every stock provider returns. Prices are in the listing's currency and
+// times in ms since the epoch.
+export const fromFinnhubQuote = (symbol, data) => ({
+  symbol,
+  currentPrice: data.c,
+  change: data.d,
+  changePercent: data.dp,
+  high: data.h,
+  low: data.l,
+  open: data.o,
+  previousClose: data.pc,
+  time: data.t * 1000,
+});
+
+// What a symbol is and the currency its prices are quoted in
+export const fromFinnhubProfile = (symbol, data) => ({
+  symbol,
+  name: data.name,
+  currency: data.currency,
+  exchange: data.exchange,
+});
+
+// Finnhub's parallel { t, o, h, l, c, v } arrays as a list of candles, oldest first
+export const fromFinnhubCandles = (data) => {
+  if (data.s !== "ok") return [];
+  return data.t.map((time, index) => ({
+    time: time * 1000,
+    open: data.o[index],
+    high: data.h[index],
+    low: data.l[index],
+    close: data.c[index],
+    volume: data.v[index],
+  }));
+};
+
+export const createFinnhubProvider = ({ endpoint = FINNHUB_ENDPOINT, streamEndpoint = FINNHUB_STREAM_ENDPOINT, apiKey }) => {
+  const request = async (path, params) => {
+    const response = await fetch(`${endpoint.replace(/\/$/, "")}/${path}?${new URLSearchParams({ ...params, token: apiKey })}`);
+    if (!response.ok) {
+      const error = new Error(response.status === 403 ? "Your Finnhub plan doesn't include this data" : `Stock service error (${response.status})`);
+      error.status = response.status;
+      throw error;
+    }
+    return response.json();
+  };
+
+  return {
+    id: "finnhub",
+    name: "Finnhub",
+    getQuote: async (symbol) => {
+      const data = await request("quote", { symbol });
+      // Unknown symbols come back as a quote of zeros rather than an error
+      if (!data?.c) {
+        const error = new Error(`No quote found for ${symbol}`);
+        error.status = 404;
+        throw error;
+      }
+      return fromFinnhubQuote(symbol, data);
+    },
+    getProfile: async (symbol) => {
+      const data = await request("stock/profile2", { symbol });
+      // Unknown symbols come back as an empty object
+      if (!data?.currency) {
+        const error = new Error(`No company profile found for ${symbol}`);
+        error.status = 404;
+        throw error;
+      }
+      return fromFinnhubProfile(symbol, data);
+    },
+    getCandles: async (symbol, { resolution, from, to }) => {
+      const params = { symbol, resolution, from: Math.floor(from / 1000), to: Math.floor(to / 1000) };
+      return fromFinnhubCandles(await request("stock/candle", params));
+    },
+    // Calls onTrade({ symbol, price, time }) for every trade until the returned function is called.
+    // A dropped connection isn't retried; the widget's polling keeps quotes current regardless.
+    subscribe: (symbols, onTrade) => {
+      const socket = new WebSocket(`${streamEndpoint}?${new URLSearchParams({ token: apiKey })}`);
+      socket.addEventListener("open", () => {
+        symbols.forEach((symbol) => socket.send(JSON.stringify({ type: "subscribe", symbol })));
+      });
+      socket.addEventListener("message", (event) => {
+        try {
+          const message = JSON.parse(event.data);
+          if (message.type !== "trade") return;
+          message.data.forEach((trade) => onTrade({ symbol: trade.s, price: trade.p, time: trade.t }));
+        } catch (error) {
+          console.error("Error reading a Finnhub stream message:", error);
+        }
+      });
+      socket.addEventListener("error", (event) => console.error("Finnhub stream error:", event));
+      return () => socket.close();
+    },
+  };
+};
@@ -0,0 +1,53 @@
+import { fromFinnhubCandles, fromFinnhubProfile, fromFinnhubQuote } from "./finnhub";
+
+// Recorded Finnhub responses, one file per symbol: the company profile, the quote plus 5 minute candles for a week,
+// hourly candles for two weeks and daily candles for a year
+const fixtures = Object.fromEntries(
+  Object.entries(import.meta.glob("./fixtures/*.json", { eager: true, import: "default" })).map(([path, data]) => [
+    path.split("/").pop().replace(/\.json$/, ""),
+    data,
+  ])
+);
+
+export const SAMPLE_SYMBOLS = Object.keys(fixtures);
+
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+
+// Recordings are moved forward by whole weeks, so trading days stay trading days, to end in the last week
+const shiftFor = (recording) => Math.floor((Date.now() - recording.quote.t * 1000) / WEEK) * WEEK;
+
+// Serves the fixtures without touching the network, so the widget works offline and in demos
+export const createFixtureStockProvider = ({ delay = 200 } = {}) => {
+  const lookup = async (symbol) => {
+    await new Promise((resolve) => setTimeout(resolve, delay));
+
+    const recording = fixtures[symbol];
+    if (!recording) {
+      const error = new Error(`No sample data for ${symbol}. Try ${SAMPLE_SYMBOLS.join(", ")}.`);
+      error.status = 404;
+      throw error;
+    }
+    return recording;
+  };
+
+  return {
+    id: "fixture",
+    name: "Sample data",
+    getQuote: async (symbol) => {
+      const recording = await lookup(symbol);
+      const quote = fromFinnhubQuote(symbol, recording.quote);
+      return { ...quote, time: quote.time + shiftFor(recording) };
+    },
+    getProfile: async (symbol) => fromFinnhubProfile(symbol, (await lookup(symbol)).profile),
+    getCandles: async (symbol, { resolution, from, to }) => {
+      const recording = await lookup(symbol);
+      if (!recording.candles[resolution]) {
+        throw new Error(`No sample candles at resolution ${resolution}`);
+      }
+      const shift = shiftFor(recording);
+      return fromFinnhubCandles(recording.candles[resolution])
+        .map((candle) => ({ ...candle, time: candle.time + shift }))
+        .filter((candle) => candle.time >= from && candle.time <= to);
+    },
+  };
+};
@@ -0,0 +1,36 @@
+import { createSharedStore, useSharedStore } from "./sharedStore";
+
+// One holding per symbol: { symbol, quantity, costBasis, costCurrency }, where costBasis is the total
+// paid for the position, in costCurrency. That needn't be the currency the symbol is quoted in, which
+// comes from the stock provider. Shared by every stock widget.
+const HOLDINGS_KEY = "stockHoldings";
+
+const holdingsStore = createSharedStore(HOLDINGS_KEY, []);
+
+// Holdings replace any existing one for the same symbol
+const saveHoldings = (incoming) => {
+  const symbols = incoming.map((holding) => holding.symbol);
+  holdingsStore.update((list) => [...list.filter((holding) => !symbols.includes(holding.symbol)), ...incoming]);
+};
+
+export const useHoldings = () => {
+  return {
+    holdings: useSharedStore(holdingsStore),
+    saveHolding: (holding) => saveHoldings([holding]),
+    saveHoldings,
+    removeHolding: (symbol) => holdingsStore.update((list) => list.filter((holding) => holding.symbol !== symbol)),
+  };
+};
+
+// Market value and profit or loss of a holding at a quote's price, in its cost currency. `rate`
+// converts the quote's currency into the cost currency.
+export const valueHolding = (holding, quote, rate) => {
+  const marketValue = holding.quantity * quote.currentPrice * rate;
+  const totalChange = marketValue - holding.costBasis;
+  return {
+    marketValue,
+    dayChange: holding.quantity * quote.change * rate,
+    totalChange,
+    totalChangePercent: holding.costBasis > 0 ? (totalChange / holding.costBasis) * 100 : null,
+  };
+};
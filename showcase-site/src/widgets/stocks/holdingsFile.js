@@ -0,0 +1,117 @@
+import { normalizeSymbol } from "./stockService";
+
+// Holdings as CSV, for spreadsheets and moving between machines:
+//
+//   symbol,quantity,cost_basis,cost_currency
+//   AAPL,10,1725.50,USD
+//
+// cost_basis is the total paid for the position, in cost_currency. Column order doesn't matter on
+// import, headers are matched ignoring case, spaces and underscores, cost_currency (or currency) may
+// be left out for USD, and several rows for one symbol are added together.
+const COLUMNS = ["symbol", "quantity", "cost_basis", "cost_currency"];
+
+const escapeField = (value) => {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const exportHoldingsCsv = (holdings) => {
+  const rows = holdings.map((holding) => [holding.symbol, holding.quantity, holding.costBasis, holding.costCurrency]);
+  return [COLUMNS, ...rows].map((row) => row.map(escapeField).join(",")).join("\r\n") + "\r\n";
+};
+
+export const downloadHoldings = (holdings) => {
+  const blob = new Blob([exportHoldingsCsv(holdings)], { type: "text/csv" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = "holdings.csv";
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// RFC 4180: fields may be quoted, and quoted fields may hold commas, doubled quotes and line breaks
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      rows.push([...row, field]);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) rows.push([...row, field]);
+  return rows;
+};
+
+const headerKey = (header) => header.trim().toLowerCase().replace(/[\s_-]+/g, "");
+
+const toNumber = (field) => (field?.trim() ? Number(field) : NaN);
+
+// Parses a holdings CSV. Throws an Error if the file can't be used at all; rows that can't be read
+// are left out and described in errors.
+export const parseHoldingsCsv = (text) => {
+  const [header, ...rows] = parseRows(text.replace(/^\uFEFF/, "")).filter((row) => row.some((field) => field.trim()));
+  if (!header) {
+    throw new Error("The file is empty");
+  }
+
+  const columns = Object.fromEntries(header.map((name, index) => [headerKey(name), index]));
+  const missing = ["symbol", "quantity", "costbasis"].filter((key) => columns[key] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`The file has no ${missing.join(", ").replace("costbasis", "cost_basis")} column`);
+  }
+
+  const currencyColumn = columns.costcurrency ?? columns.currency;
+
+  const holdings = new Map();
+  const errors = [];
+  rows.forEach((row, index) => {
+    const where = `Row ${index + 2}`;
+    const symbol = normalizeSymbol(row[columns.symbol] ?? "");
+    const quantity = toNumber(row[columns.quantity]);
+    const costBasis = toNumber(row[columns.costbasis]);
+    const currency = (row[currencyColumn] ?? "").trim().toUpperCase() || "USD";
+
+    if (!symbol) {
+      errors.push(`${where}: the symbol is missing`);
+    } else if (!Number.isFinite(quantity) || quantity <= 0) {
+      errors.push(`${where}: the quantity must be a positive number`);
+    } else if (!Number.isFinite(costBasis) || costBasis < 0) {
+      errors.push(`${where}: the cost basis must be a number`);
+    } else if (!/^[A-Z]{3}$/.test(currency)) {
+      errors.push(`${where}: "${currency}" is not a currency code`);
+    } else if (holdings.has(symbol) && holdings.get(symbol).costCurrency !== currency) {
+      errors.push(`${where}: ${symbol} was bought in both ${holdings.get(symbol).costCurrency} and ${currency}`);
+    } else {
+      const lot = holdings.get(symbol);
+      holdings.set(symbol, lot
+        ? { ...lot, quantity: lot.quantity + quantity, costBasis: lot.costBasis + costBasis }
+        : { symbol, quantity, costBasis, costCurrency: currency });
+    }
+  });
+
+  return { holdings: [...holdings.values()], errors };
+};
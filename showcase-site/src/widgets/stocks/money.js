@@ -0,0 +1,5 @@
+// A price in its currency. Until the currency is known it's shown as a bare number rather than guessed.
+export const formatMoney = (amount, currency) => {
+  if (!currency) return amount.toFixed(2);
+  return new Intl.NumberFormat(undefined, { style: "currency", currency }).format(amount);
+};
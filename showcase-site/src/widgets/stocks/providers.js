@@ -0,0 +1,38 @@
+import { createFinnhubProvider, FINNHUB_ENDPOINT, FINNHUB_STREAM_ENDPOINT } from "./finnhub";
+import { createFixtureStockProvider } from "./fixtureStocks";
+
+// Stock data providers by id. A provider is { id, name, getQuote(symbol), getProfile(symbol),
+// getCandles(symbol, options) }, resolving to a quote, profile and candles shaped like the ones from
+// fromFinnhubQuote, fromFinnhubProfile and fromFinnhubCandles.
+// getCandles takes { resolution, from, to }: "5", "60" (minutes) or "D", and a time range in ms.
+// All reject with an Error, with a `status` of 404 for unknown symbols. Providers that can push
+// trades also have subscribe(symbols, onTrade), returning a function that stops the stream.
+const providers = {
+  finnhub: createFinnhubProvider,
+  fixture: createFixtureStockProvider,
+};
+
+export const registerStockProvider = (id, createProvider) => {
+  providers[id] = createProvider;
+};
+
+// Configured in .env (see .env.example):
+//   VITE_STOCK_PROVIDER           finnhub (default) or fixture
+//   VITE_FINNHUB_API_KEY          your Finnhub key
+//   VITE_FINNHUB_ENDPOINT         another Finnhub-compatible API
+//   VITE_FINNHUB_STREAM_ENDPOINT  and its trade stream
+export const getStockConfig = () => ({
+  provider: import.meta.env.VITE_STOCK_PROVIDER || "finnhub",
+  apiKey: import.meta.env.VITE_FINNHUB_API_KEY || "",
+  endpoint: import.meta.env.VITE_FINNHUB_ENDPOINT || FINNHUB_ENDPOINT,
+  streamEndpoint: import.meta.env.VITE_FINNHUB_STREAM_ENDPOINT || FINNHUB_STREAM_ENDPOINT,
+});
+
+// Without an API key Finnhub can't be used, so sample data is shown instead of an error
+export const getStockProvider = (config = getStockConfig()) => {
+  const usable = providers[config.provider] && !(config.provider === "finnhub" && !config.apiKey);
+  if (!usable) {
+    return { ...createFixtureStockProvider(config), isFallback: true };
+  }
+  return providers[config.provider](config);
+};
@@ -0,0 +1,51 @@
+import { useSyncExternalStore } from "react";
+import { onStorageChange, readJSON, writeJSON } from "../../storage";
+
+// One value under one storage key, shared by every stock widget on the page and kept in step with
+// other tabs. Changes are applied to the latest value, so widgets can't overwrite each other's edits.
+export const createSharedStore = (key, fallback) => {
+  let value;
+  let loaded = false;
+  let stopWatching = null;
+  const listeners = new Set();
+
+  const notify = () => listeners.forEach((listener) => listener());
+
+  const getSnapshot = () => {
+    if (!loaded) {
+      value = readJSON(key, fallback);
+      loaded = true;
+    }
+    return value;
+  };
+
+  const update = (change) => {
+    const next = change(getSnapshot());
+    if (next === value) return;
+    value = next;
+    writeJSON(key, next);
+    notify();
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    if (listeners.size === 1) {
+      stopWatching = onStorageChange(key, () => {
+        loaded = false;
+        notify();
+      });
+    }
+    return () => {
+      listeners.delete(listener);
+      // Read again when next used, in case another tab changed it in between
+      if (listeners.size === 0) {
+        stopWatching();
+        loaded = false;
+      }
+    };
+  };
+
+  return { getSnapshot, subscribe, update };
+};
+
+export const useSharedStore = (store) => useSyncExternalStore(store.subscribe, store.getSnapshot);
@@ -0,0 +1,50 @@
+import { getStockProvider } from "./providers";
+
+const DAY = 24 * 60 * 60 * 1000;
+// Longer than any pause in trading within a session, shorter than the night between two
+const SESSION_GAP = 4 * 60 * 60 * 1000;
+
+// Candle resolution and how far back each chart range reaches. The market may be closed today, so
+// 1D fetches a week of candles and keeps the latest session.
+export const CHART_RANGES = {
+  "1D": { resolution: "5", days: 7, lastSession: true },
+  "1W": { resolution: "60", days: 7 },
+  "1M": { resolution: "D", days: 31 },
+  "1Y": { resolution: "D", days: 365 },
+};
+
+export const normalizeSymbol = (symbol) => symbol.trim().toUpperCase();
+
+const lastSession = (candles) => {
+  let start = candles.length - 1;
+  while (start > 0 && candles[start].time - candles[start - 1].time < SESSION_GAP) start--;
+  return candles.slice(start);
+};
+
+export const getQuote = (symbol, { provider = getStockProvider() } = {}) => {
+  return provider.getQuote(normalizeSymbol(symbol));
+};
+
+// Profiles hardly ever change, so each is fetched once per provider and page load. Failures are
+// forgotten so they can be retried.
+const profiles = new Map();
+
+export const getProfile = (symbol, { provider = getStockProvider() } = {}) => {
+  const key = `${provider.id}:${normalizeSymbol(symbol)}`;
+  if (!profiles.has(key)) {
+    const loading = provider.getProfile(normalizeSymbol(symbol)).catch((error) => {
+      profiles.delete(key);
+      throw error;
+    });
+    profiles.set(key, loading);
+  }
+  return profiles.get(key);
+};
+
+// Candles for one of the CHART_RANGES, oldest first
+export const getPriceHistory = async (symbol, range, { provider = getStockProvider() } = {}) => {
+  const { resolution, days, lastSession: latestOnly } = CHART_RANGES[range];
+  const to = Date.now();
+  const candles = await provider.getCandles(normalizeSymbol(symbol), { resolution, from: to - days * DAY, to });
+  return latestOnly ? lastSession(candles) : candles;
+};
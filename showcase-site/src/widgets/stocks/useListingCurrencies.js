@@ -0,0 +1,25 @@
+import { useEffect, useState } from "react";
+import { getProfile } from "./stockService";
+
+// Currency each symbol is quoted in, by symbol, filled in as the profiles arrive
+export const useListingCurrencies = (symbols, provider) => {
+  const [currencies, setCurrencies] = useState({});
+  const symbolsKey = symbols.join(",");
+
+  useEffect(() => {
+    if (!symbolsKey) return;
+    let cancelled = false;
+    symbolsKey.split(",").forEach((symbol) => {
+      getProfile(symbol, { provider })
+        .then((profile) => {
+          if (!cancelled) setCurrencies((prev) => ({ ...prev, [symbol]: profile.currency }));
+        })
+        .catch((err) => console.error(`Error fetching the listing currency of ${symbol}:`, err));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [symbolsKey, provider]);
+
+  return currencies;
+};
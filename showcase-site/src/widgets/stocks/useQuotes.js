@@ -0,0 +1,85 @@
+import { useEffect, useState } from "react";
+import { getQuote } from "./stockService";
+
+export const POLL_INTERVAL = 30 * 1000;
+// Streamed trades are applied at most this often, however busy the symbol
+const STREAM_FLUSH_INTERVAL = 1000;
+
+// A trade moves the last price, and with it the day's change and range
+const applyTrade = (quote, { price, time }) => ({
+  ...quote,
+  currentPrice: price,
+  change: price - quote.previousClose,
+  changePercent: ((price - quote.previousClose) / quote.previousClose) * 100,
+  high: Math.max(quote.high, price),
+  low: Math.min(quote.low, price),
+  time,
+});
+
+// Latest quote per symbol, polled while the page is visible. Providers that can stream trades
+// (subscribe) also move prices between polls.
+export const useQuotes = (symbols, provider) => {
+  const [quotes, setQuotes] = useState({});
+  const [errors, setErrors] = useState({});
+  const [updatedAt, setUpdatedAt] = useState(null);
+  const symbolsKey = symbols.join(",");
+
+  useEffect(() => {
+    const watched = symbolsKey ? symbolsKey.split(",") : [];
+    if (watched.length === 0) return;
+    let cancelled = false;
+
+    const poll = async () => {
+      if (document.hidden) return;
+      const results = await Promise.allSettled(watched.map((symbol) => getQuote(symbol, { provider })));
+      if (cancelled) return;
+
+      setQuotes((prev) => {
+        const next = { ...prev };
+        results.forEach((result, index) => {
+          if (result.status === "fulfilled") next[watched[index]] = result.value;
+        });
+        return next;
+      });
+      setErrors(Object.fromEntries(
+        results.flatMap((result, index) => (result.status === "rejected" ? [[watched[index], result.reason]] : []))
+      ));
+      setUpdatedAt(Date.now());
+    };
+
+    poll();
+    const pollTimer = setInterval(poll, POLL_INTERVAL);
+    const handleVisibilityChange = () => {
+      if (!document.hidden) poll();
+    };
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+
+    let pendingTrades = {};
+    const flushTimer = provider.subscribe && setInterval(() => {
+      const trades = pendingTrades;
+      pendingTrades = {};
+      if (Object.keys(trades).length === 0) return;
+      setQuotes((prev) => {
+        const next = { ...prev };
+        Object.entries(trades).forEach(([symbol, trade]) => {
+          if (next[symbol]) next[symbol] = applyTrade(next[symbol], trade);
+        });
+        return next;
+      });
+      setUpdatedAt(Date.now());
+    }, STREAM_FLUSH_INTERVAL);
+    const unsubscribe = provider.subscribe?.(watched, (trade) => {
+      pendingTrades[trade.symbol] = trade;
+    });
+
+    return () => {
+      cancelled = true;
+      clearInterval(pollTimer);
+      clearInterval(flushTimer);
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+      unsubscribe?.();
+    };
+  }, [symbolsKey, provider]);
+
+  return { quotes, errors, updatedAt, streaming: Boolean(provider.subscribe) };
+};
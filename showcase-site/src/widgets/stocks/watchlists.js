@@ -0,0 +1,47 @@
+import { useEffect } from "react";
+import { readJSON } from "../../storage";
+import { normalizeSymbol } from "./stockService";
+import { createSharedStore, useSharedStore } from "./sharedStore";
+
+// Watchlists are shared by every stock widget and kept apart from board layouts, so they outlive
+// the widget they were made in
+const WATCHLISTS_KEY = "stockWatchlists";
+
+// Until a list is changed there is this one, saved the first time it is
+const DEFAULT_WATCHLISTS = [{ id: "watchlist-default", name: "My watchlist", symbols: [] }];
+
+const watchlistsStore = createSharedStore(WATCHLISTS_KEY, []);
+
+const createWatchlistId = () => `watchlist-${Date.now().toString(36)}`;
+
+const withDefault = (lists) => (lists.length > 0 ? lists : DEFAULT_WATCHLISTS);
+
+const update = (change) => watchlistsStore.update((lists) => change(withDefault(lists)));
+
+const updateList = (id, change) => {
+  update((lists) => lists.map((list) => (list.id === id ? { ...list, symbols: change(list.symbols) } : list)));
+};
+
+export const useWatchlists = (legacySymbols = []) => {
+  const watchlists = withDefault(useSharedStore(watchlistsStore));
+
+  // First run: the default list carries over the symbols a widget saved before watchlists were shared
+  const legacy = legacySymbols.map(normalizeSymbol).join(" ");
+  useEffect(() => {
+    if (!legacy || readJSON(WATCHLISTS_KEY) !== null) return;
+    updateList(DEFAULT_WATCHLISTS[0].id, (symbols) => [...new Set([...symbols, ...legacy.split(" ")])]);
+  }, [legacy]);
+
+  return {
+    watchlists,
+    createWatchlist: (name) => {
+      const list = { id: createWatchlistId(), name, symbols: [] };
+      update((lists) => [...lists, list]);
+      return list;
+    },
+    deleteWatchlist: (id) => update((lists) => lists.filter((list) => list.id !== id)),
+    // Symbols are stored normalized, so "aapl" and "AAPL " are the same entry
+    addSymbol: (id, symbol) => updateList(id, (symbols) => [...new Set([...symbols, normalizeSymbol(symbol)])]),
+    removeSymbol: (id, symbol) => updateList(id, (symbols) => symbols.filter((saved) => saved !== symbol)),
+  };
+};
@@ -1,17 +1,18 @@
-import React, { useState } from 'react';
+import React from 'react';
 import { Plus, Minus, RotateCcw } from 'lucide-react';
+import { useWidgetState } from '../widgetState';
 
-const CounterWidget = () => {
-  const [count, setCount] = useState(0);
+const CounterWidget = ({ title = 'Counter Widget', step = 1 }) => {
+  const [count, setCount] = useWidgetState('count', 0);
 
-  const increment = () => setCount(prev => prev + 1);
-  const decrement = () => setCount(prev => prev - 1);
+  const increment = () => setCount(prev => prev + step);
+  const decrement = () => setCount(prev => prev - step);
   const reset = () => setCount(0);
 
   return (
     <div className="p-6 max-w-sm mx-auto bg-white rounded-xl shadow-lg">
       <div className="text-center space-y-4">
-        <h2 className="text-xl font-bold text-gray-800">Counter Widget</h2>
+        <h2 className="text-xl font-bold text-gray-800">{title}</h2>
         
         <div className="text-4xl font-bold text-blue-600">
           {count}
@@ -0,0 +1,13 @@
+export const manifest = {
+  id: 'counter',
+  name: 'Counter',
+  description: 'Count up, count down, reset.',
+  category: 'Productivity',
+  icon: '🔢',
+  version: '1.0.0',
+  minSize: { width: 200, height: 200 },
+  propsSchema: {
+    title: { type: 'string', label: 'Title', default: 'Counter Widget' },
+    step: { type: 'number', label: 'Step', default: 1, min: 1 },
+  },
+};
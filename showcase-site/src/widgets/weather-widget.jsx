@@ -1,48 +1,138 @@
-import React, { useState } from "react";
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { MapPin, RefreshCw, Star, X } from "lucide-react";
+import { useWidgetState } from "../widgetState";
+import { CACHE_MAX_AGE, getForecast, getWeather } from "./weather/weatherService";
+import { getWeatherProvider } from "./weather/providers";
+import { formatLocalTime, formatTemperature, formatWind, TEMPERATURE_UNITS, WIND_UNITS, weatherImage } from "./weather/display";
+import ForecastChart from "./weather/ForecastChart";
 
-const WeatherWidget = () => {
-  const [city, setCity] = useState("");
-  const [weather, setWeather] = useState(null);
+// Shown and saved cities are refreshed this often while the widget is open
+const REFRESH_INTERVAL = CACHE_MAX_AGE;
+
+const DEFAULT_UNITS = { temperature: "°C", wind: "m/s" };
+const NO_CITIES = [];
+
+const FORECAST_VIEWS = { hourly: "24 hours", daily: "5 days" };
+
+// Rounded to about a kilometre, which is plenty for weather and keeps the saved layout vaguer
+const getCurrentPosition = () => new Promise((resolve, reject) => {
+  navigator.geolocation.getCurrentPosition(
+    ({ coords }) => resolve({ lat: Number(coords.latitude.toFixed(2)), lon: Number(coords.longitude.toFixed(2)) }),
+    reject,
+    { timeout: 10000, maximumAge: REFRESH_INTERVAL }
+  );
+});
+
+const toggleClass = (active) => `px-2 py-0.5 rounded ${active ? "bg-white text-blue-700 font-semibold" : "hover:bg-blue-400"}`;
+
+const WeatherWidget = ({ defaultCity = "" }) => {
+  // A city name, or { lat, lon } after "use my location". Both follow the "Default city" setting until
+  // the user searches or locates, so changing the setting also moves widgets that are already placed.
+  const [pickedLocation, setLocation] = useWidgetState("location", null);
+  const [typedCity, setCity] = useWidgetState("city", null);
+  const location = pickedLocation ?? (defaultCity || null);
+  const city = typedCity ?? defaultCity;
+  const [savedCities, setSavedCities] = useWidgetState("savedCities", NO_CITIES);
+  const [units, setUnits] = useWidgetState("units", DEFAULT_UNITS);
+  const [view, setView] = useWidgetState("forecastView", "hourly");
+  const [provider] = useState(getWeatherProvider);
+  const [current, setCurrent] = useState(null);
+  const [forecast, setForecast] = useState(null);
+  const [savedReports, setSavedReports] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [locating, setLocating] = useState(false);
   const [error, setError] = useState("");
+  const latestRequest = useRef(0);
 
-  // Mapping weather conditions to local images
-  const weatherImages = {
-    Clear: "clear.png",
-    Clouds: "clouds.png",
-    Snow: "snow.png",
-    Rain: "rain.png",
-    Drizzle: "drizzle.png",
-    Thunderstorm: "thunderstorm.png",
-    Mist: "mist.png",
-    Fog: "fog.png",
-  };
+  const loadLocation = useCallback(async (target, { maxAge } = {}) => {
+    const request = ++latestRequest.current;
+    setLoading(true);
+    try {
+      const [weather, outlook] = await Promise.all([
+        getWeather(target, { provider, maxAge }),
+        // The current conditions are still worth showing without a forecast
+        getForecast(target, { provider, maxAge }).catch((err) => {
+          console.error("Error fetching the weather forecast:", err);
+          return null;
+        }),
+      ]);
+      if (request !== latestRequest.current) return;
+      setCurrent(weather);
+      setForecast(outlook);
+      setError("");
+    } catch (err) {
+      if (request !== latestRequest.current) return;
+      console.error("Error fetching weather data:", err);
+      setCurrent(null);
+      setForecast(null);
+      setError(err.status === 404 ? err.message : "Error fetching weather data");
+    } finally {
+      if (request === latestRequest.current) setLoading(false);
+    }
+  }, [provider]);
+
+  const loadSavedCities = useCallback(async ({ maxAge } = {}) => {
+    const results = await Promise.allSettled(savedCities.map((name) => getWeather(name, { provider, maxAge })));
+    setSavedReports(Object.fromEntries(
+      results.map((result, index) => [savedCities[index], result.status === "fulfilled" ? result.value.report : null])
+    ));
+  }, [provider, savedCities]);
+
+  const refresh = useCallback(() => {
+    if (location) loadLocation(location, { maxAge: 0 });
+    loadSavedCities({ maxAge: 0 });
+  }, [location, loadLocation, loadSavedCities]);
 
-  const fetchWeather = async () => {
-    if (!city) return;
+  useEffect(() => {
+    if (location) loadLocation(location);
+  }, [location, loadLocation]);
 
+  useEffect(() => {
+    loadSavedCities();
+  }, [loadSavedCities]);
+
+  useEffect(() => {
+    const timer = setInterval(refresh, REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [refresh]);
+
+  const showCity = (name) => {
+    setCity(name);
+    setLocation(name);
+  };
+
+  const locateMe = async () => {
+    setLocating(true);
     try {
-      const response = await fetch(
-        `https://api.openweathermap.org/data/2.5/weather?q=${city}&appid=3b8279dfc39ab75388c015b4b4c184be&units=metric`
-      );
-      const data = await response.json();
-
-      if (data.cod !== 200) {
-        setError(data.message);
-        setWeather(null);
-      } else {
-        setWeather(data);
-        setError("");
-      }
+      setLocation(await getCurrentPosition());
+      setCity("");
     } catch (err) {
-      setError("Error fetching weather data");
+      console.error("Error getting the current position:", err);
+      setError(err.code === err.PERMISSION_DENIED ? "Location access was denied." : "Your location couldn't be found.");
+    } finally {
+      setLocating(false);
     }
   };
 
+  const report = current?.report;
+  const staleEntry = [current, forecast].find((entry) => entry?.stale);
+  const isSaved = report && savedCities.includes(report.city);
+
+  const toggleSaved = () => {
+    setSavedCities((prev) => (prev.includes(report.city) ? prev.filter((name) => name !== report.city) : [...prev, report.city]));
+  };
+
   return (
     <div className="p-6 max-w-md mx-auto bg-gradient-to-r from-blue-500 to-blue-700 text-white rounded-2xl shadow-xl text-center">
       <h1 className="text-2xl font-bold mb-4">Weather Widget</h1>
 
-      <div className="flex items-center space-x-2 mb-4">
+      <form
+        className="flex items-center space-x-2 mb-3"
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (city.trim()) showCity(city.trim());
+        }}
+      >
         <input
           type="text"
           placeholder="Enter city"
@@ -51,36 +141,123 @@ const WeatherWidget = () => {
           className="flex-1 border p-2 rounded text-black"
         />
         <button
-          onClick={fetchWeather}
-          className="bg-black text-black-900 px-4 py-2 rounded font-semibold shadow-md hover:bg-gray-200 transition"
+          type="submit"
+          disabled={loading}
+          className="bg-black text-black-900 px-4 py-2 rounded font-semibold shadow-md hover:bg-gray-200 transition disabled:opacity-50"
         >
-          Search
+          {loading ? "Loading..." : "Search"}
         </button>
+        {"geolocation" in navigator && (
+          <button
+            type="button"
+            onClick={locateMe}
+            disabled={locating}
+            className="p-2 rounded hover:bg-blue-400 disabled:opacity-50"
+            aria-label="Use my location"
+            title="Use my location"
+          >
+            <MapPin className="w-5 h-5" />
+          </button>
+        )}
+      </form>
+
+      <div className="flex justify-center gap-4 text-xs mb-3">
+        <div className="flex gap-1" role="group" aria-label="Temperature unit">
+          {Object.keys(TEMPERATURE_UNITS).map((unit) => (
+            <button key={unit} type="button" className={toggleClass(units.temperature === unit)} onClick={() => setUnits((prev) => ({ ...prev, temperature: unit }))}>
+              {unit}
+            </button>
+          ))}
+        </div>
+        <div className="flex gap-1" role="group" aria-label="Wind speed unit">
+          {Object.keys(WIND_UNITS).map((unit) => (
+            <button key={unit} type="button" className={toggleClass(units.wind === unit)} onClick={() => setUnits((prev) => ({ ...prev, wind: unit }))}>
+              {unit}
+            </button>
+          ))}
+        </div>
       </div>
 
+      {savedCities.length > 0 && (
+        <ul className="flex flex-wrap justify-center gap-2 mb-3 text-sm">
+          {savedCities.map((name) => (
+            <li key={name} className="flex items-center bg-blue-800/50 rounded-full">
+              <button type="button" className="pl-3 pr-1 py-1 hover:underline" onClick={() => showCity(name)}>
+                {name}
+                {savedReports[name] && ` ${formatTemperature(savedReports[name].temperature, units.temperature)}`}
+              </button>
+              <button
+                type="button"
+                className="pr-2 py-1 opacity-70 hover:opacity-100"
+                onClick={() => setSavedCities((prev) => prev.filter((saved) => saved !== name))}
+                aria-label={`Remove ${name}`}
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {provider.isFallback && (
+        <p className="text-xs text-blue-100">No OpenWeather API key is configured, so this shows sample data.</p>
+      )}
+      {staleEntry && (
+        <p className="text-amber-200 text-sm mt-2">
+          Couldn&apos;t reach {provider.name}; showing the report from {new Date(staleEntry.fetchedAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}.
+        </p>
+      )}
       {error && <p className="text-red-300 mt-2">{error}</p>}
 
-      {weather && (
-        <div className="mt-6 p-4 bg-white text-black rounded-xl shadow-md">
-          <h2 className="text-xl font-semibold">{weather.name}</h2>
-          <p className="text-gray-700 capitalize">{weather.weather[0].description}</p>
+      {report && (
+        <div className="mt-4 p-4 bg-white text-black rounded-xl shadow-md">
+          <div className="flex items-center justify-between">
+            <button type="button" onClick={toggleSaved} aria-label={isSaved ? `Forget ${report.city}` : `Save ${report.city}`} title={isSaved ? "Saved" : "Save city"}>
+              <Star className={`w-5 h-5 ${isSaved ? "fill-yellow-400 text-yellow-500" : "text-gray-400"}`} />
+            </button>
+            <h2 className="text-xl font-semibold">
+              {report.city}
+              {report.country && `, ${report.country}`}
+            </h2>
+            <button type="button" onClick={refresh} disabled={loading} aria-label="Refresh" title="Refresh">
+              <RefreshCw className={`w-5 h-5 text-gray-400 ${loading ? "animate-spin" : ""}`} />
+            </button>
+          </div>
+          <p className="text-gray-700 capitalize">{report.description}</p>
 
           {/* Display corresponding weather image */}
           <div className="flex justify-center mt-4">
-            <img
-              src={weatherImages[weather.weather[0].main] || "default.png"}
-              alt={weather.weather[0].main}
-              className="w-24 h-24"
-            />
+            <img src={weatherImage(report.condition)} alt={report.condition} className="w-24 h-24" />
           </div>
 
           <div className="flex justify-center items-center space-x-4 mt-3">
-            <div className="text-4xl">{weather.main.temp}°C</div>
+            <div className="text-4xl">{formatTemperature(report.temperature, units.temperature)}</div>
             <div>
-              <p className="text-sm">Wind Speed: {weather.wind.speed} m/s</p>
-              <p className="text-sm">Humidity: {weather.main.humidity}%</p>
+              <p className="text-sm">Wind Speed: {formatWind(report.windSpeed, units.wind)}</p>
+              <p className="text-sm">Humidity: {report.humidity}%</p>
             </div>
           </div>
+          <p className="text-xs text-gray-500 mt-3">
+            Observed at {formatLocalTime(report.observedAt, report.timezone, { hour: "2-digit", minute: "2-digit" })} local time
+          </p>
+
+          {forecast && (
+            <div className="mt-4 pt-3 border-t border-gray-200">
+              <div className="flex justify-center gap-1 text-xs mb-2" role="group" aria-label="Forecast">
+                {Object.entries(FORECAST_VIEWS).map(([id, label]) => (
+                  <button
+                    key={id}
+                    type="button"
+                    className={`px-2 py-0.5 rounded ${view === id ? "bg-blue-600 text-white font-semibold" : "hover:bg-gray-100"}`}
+                    onClick={() => setView(id)}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <ForecastChart forecast={forecast.report} view={view} temperatureUnit={units.temperature} />
+            </div>
+          )}
         </div>
       )}
     </div>
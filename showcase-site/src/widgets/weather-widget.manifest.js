@@ -0,0 +1,13 @@
+export const manifest = {
+  id: "weather",
+  name: "Weather",
+  description: "Current conditions and the 5 day forecast for any city, or wherever you are.",
+  category: "Utilities",
+  icon: "🌤️",
+  version: "1.1.0",
+  minSize: { width: 300, height: 160 },
+  defaultSize: { width: 420, height: 640 },
+  propsSchema: {
+    defaultCity: { type: "string", label: "Default city", default: "" },
+  },
+};
@@ -0,0 +1,64 @@
+import { Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { dailyForecast, upcomingForecast } from "./forecast";
+import { formatLocalTime, formatTemperature, TEMPERATURE_UNITS, weatherImage } from "./display";
+
+// The next 24 hours ("hourly", in the provider's 3-hour steps) or the next 5 days ("daily") as a
+// temperature chart above a row of conditions
+const ForecastChart = ({ forecast, view, temperatureUnit }) => {
+  const convert = TEMPERATURE_UNITS[temperatureUnit];
+  const { timezone } = forecast;
+
+  const columns = view === "daily"
+    ? dailyForecast(forecast).map((day) => ({
+      ...day,
+      label: formatLocalTime(day.time, timezone, { weekday: "short" }),
+      high: Math.round(convert(day.max)),
+      low: Math.round(convert(day.min)),
+    }))
+    : upcomingForecast(forecast).map((entry) => ({
+      ...entry,
+      label: formatLocalTime(entry.time, timezone, { hour: "numeric" }),
+      degrees: Math.round(convert(entry.temperature)),
+    }));
+
+  if (columns.length === 0) {
+    return <p className="text-sm text-gray-500">No forecast available.</p>;
+  }
+
+  return (
+    <div>
+      <ResponsiveContainer width="100%" height={140}>
+        <LineChart data={columns} margin={{ top: 8, right: 8, bottom: 0, left: -24 }}>
+          <XAxis dataKey="label" stroke="#6b7280" fontSize={12} />
+          <YAxis domain={["auto", "auto"]} stroke="#6b7280" fontSize={12} />
+          <Tooltip formatter={(value) => `${value}${temperatureUnit}`} />
+          {view === "daily" ? (
+            <>
+              <Line type="monotone" dataKey="high" name="High" stroke="#f97316" strokeWidth={2} />
+              <Line type="monotone" dataKey="low" name="Low" stroke="#3b82f6" strokeWidth={2} />
+            </>
+          ) : (
+            <Line type="monotone" dataKey="degrees" name="Temperature" stroke="#f97316" strokeWidth={2} />
+          )}
+        </LineChart>
+      </ResponsiveContainer>
+
+      <div className="grid gap-1 mt-2 text-xs" style={{ gridTemplateColumns: `repeat(${columns.length}, minmax(0, 1fr))` }}>
+        {columns.map((column) => (
+          <div key={column.time} className="flex flex-col items-center" title={column.description}>
+            <span className="text-gray-600">{column.label}</span>
+            <img src={weatherImage(column.condition)} alt={column.condition} className="w-8 h-8" />
+            <span>
+              {view === "daily"
+                ? `${formatTemperature(column.max, temperatureUnit)} / ${formatTemperature(column.min, temperatureUnit)}`
+                : formatTemperature(column.temperature, temperatureUnit)}
+            </span>
+            {column.precipitationChance > 0 && <span className="text-blue-600">{Math.round(column.precipitationChance * 100)}%</span>}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ForecastChart;
@@ -0,0 +1,42 @@
+import clearImage from "./images/clear.png";
+import cloudsImage from "./images/clouds.png";
+import drizzleImage from "./images/drizzle.png";
+import mistImage from "./images/mist.png";
+import rainImage from "./images/rain.png";
+import snowImage from "./images/snow.png";
+
+// Reports are always metric; these convert for display only
+export const TEMPERATURE_UNITS = {
+  "°C": (celsius) => celsius,
+  "°F": (celsius) => (celsius * 9) / 5 + 32,
+};
+
+export const WIND_UNITS = {
+  "m/s": (metresPerSecond) => metresPerSecond,
+  "km/h": (metresPerSecond) => metresPerSecond * 3.6,
+};
+
+export const formatTemperature = (celsius, unit) => `${Math.round(TEMPERATURE_UNITS[unit](celsius))}${unit}`;
+
+export const formatWind = (metresPerSecond, unit) => `${Number(WIND_UNITS[unit](metresPerSecond).toFixed(1))} ${unit}`;
+
+// A time as seen at the reported location, whatever the viewer's own timezone
+export const formatLocalTime = (time, timezone, options) => {
+  return new Date(time + timezone * 1000).toLocaleString([], { ...options, timeZone: "UTC" });
+};
+
+// Mapping weather conditions to images. They're imported rather than served from public/ so
+// the overlay and custom element builds, which have no public directory, still ship them.
+// There's no art for thunderstorms or fog, so those borrow the nearest picture.
+const weatherImages = {
+  Clear: clearImage,
+  Clouds: cloudsImage,
+  Snow: snowImage,
+  Rain: rainImage,
+  Drizzle: drizzleImage,
+  Thunderstorm: rainImage,
+  Mist: mistImage,
+  Fog: mistImage,
+};
+
+export const weatherImage = (condition) => weatherImages[condition] || cloudsImage;
@@ -0,0 +1,36 @@
+const HOUR = 60 * 60 * 1000;
+
+const localDate = (time, timezone) => new Date(time + timezone * 1000).toISOString().slice(0, 10);
+const localHour = (time, timezone) => new Date(time + timezone * 1000).getUTCHours();
+
+// Forecast entries covering the next `hours` hours. A cached forecast may start in the past.
+export const upcomingForecast = (forecast, hours = 24, now = Date.now()) => {
+  return forecast.entries.filter((entry) => entry.time > now - 3 * HOUR && entry.time <= now + hours * HOUR);
+};
+
+// One summary per day, in the location's timezone: { time, min, max, condition, description,
+// precipitationChance }, with time being the day's first entry
+export const dailyForecast = (forecast, days = 5, now = Date.now()) => {
+  const byDay = new Map();
+  upcomingForecast(forecast, Infinity, now).forEach((entry) => {
+    const date = localDate(entry.time, forecast.timezone);
+    byDay.set(date, [...(byDay.get(date) ?? []), entry]);
+  });
+
+  return [...byDay.values()].slice(0, days).map((entries) => {
+    const temperatures = entries.map((entry) => entry.temperature);
+    // The weather around midday describes a day better than the overnight entries do
+    const midday = entries.reduce((best, entry) => {
+      return Math.abs(localHour(entry.time, forecast.timezone) - 12) < Math.abs(localHour(best.time, forecast.timezone) - 12) ? entry : best;
+    });
+
+    return {
+      time: entries[0].time,
+      min: Math.min(...temperatures),
+      max: Math.max(...temperatures),
+      condition: midday.condition,
+      description: midday.description,
+      precipitationChance: Math.max(...entries.map((entry) => entry.precipitationChance)),
+    };
+  });
+};
@@ -0,0 +1,54 @@
+import { fromOpenWeather, fromOpenWeatherForecast } from "./openWeather";
+
+const byFixtureName = (modules) => Object.fromEntries(
+  Object.entries(modules).map(([path, data]) => [path.split("/").pop().replace(/\.json$/, ""), data])
+);
+
+// Recorded OpenWeather responses, one per city: fixtures/new-york.json answers "New York", and
+// fixtures/forecast/new-york.json holds its forecast
+const fixtures = byFixtureName(import.meta.glob("./fixtures/*.json", { eager: true, import: "default" }));
+const forecastFixtures = byFixtureName(import.meta.glob("./fixtures/forecast/*.json", { eager: true, import: "default" }));
+
+export const fixtureKey = (city) => city.trim().toLowerCase().replace(/\s+/g, "-");
+
+export const SAMPLE_CITIES = Object.values(fixtures).map((data) => data.name);
+
+// Coordinates are answered with the closest sample city
+const findFixture = (location) => {
+  if (typeof location === "string") return fixtureKey(location);
+
+  const distance = ({ coord }) => (coord.lat - location.lat) ** 2 + (coord.lon - location.lon) ** 2;
+  return Object.keys(fixtures).reduce((closest, key) => (distance(fixtures[key]) < distance(fixtures[closest]) ? key : closest));
+};
+
+const notFound = (location) => {
+  const error = new Error(`No sample data for "${location}". Try ${SAMPLE_CITIES.join(", ")}.`);
+  error.status = 404;
+  return error;
+};
+
+const THREE_HOURS = 3 * 60 * 60 * 1000;
+
+// Recorded forecasts are moved forward so they always start at the next 3-hour step
+const rebaseForecast = (forecast) => {
+  const shift = Math.ceil(Date.now() / THREE_HOURS) * THREE_HOURS - forecast.entries[0].time;
+  return { ...forecast, entries: forecast.entries.map((entry) => ({ ...entry, time: entry.time + shift })) };
+};
+
+// Serves the fixtures without touching the network, so the widget works offline and in demos
+export const createMockWeatherProvider = ({ delay = 300 } = {}) => {
+  const lookup = async (recordings, location) => {
+    await new Promise((resolve) => setTimeout(resolve, delay));
+
+    const data = recordings[findFixture(location)];
+    if (!data) throw notFound(location);
+    return data;
+  };
+
+  return {
+    id: "mock",
+    name: "Sample data",
+    getCurrentWeather: async (location) => fromOpenWeather(await lookup(fixtures, location)),
+    getForecast: async (location) => rebaseForecast(fromOpenWeatherForecast(await lookup(forecastFixtures, location))),
+  };
+};
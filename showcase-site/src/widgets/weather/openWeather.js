@@ -0,0 +1,58 @@
+// OpenWeatherMap's current weather and 5 day / 3 hour forecast APIs (https://openweathermap.org/api),
+// or anything that speaks them, such as the offline stub server (npm run weather:stub).
+export const OPENWEATHER_ENDPOINT = "https://api.openweathermap.org/data/2.5";
+
+// The provider-neutral reports every weather provider returns. Temperatures are in °C, wind speeds
+// in m/s, times in ms since the epoch and timezone is the location's offset from UTC in seconds.
+export const fromOpenWeather = (data) => ({
+  city: data.name,
+  country: data.sys?.country ?? "",
+  timezone: data.timezone ?? 0,
+  condition: data.weather[0].main,
+  description: data.weather[0].description,
+  temperature: data.main.temp,
+  humidity: data.main.humidity,
+  windSpeed: data.wind.speed,
+  observedAt: data.dt * 1000,
+});
+
+export const fromOpenWeatherForecast = (data) => ({
+  city: data.city.name,
+  country: data.city.country ?? "",
+  timezone: data.city.timezone ?? 0,
+  entries: data.list.map((entry) => ({
+    time: entry.dt * 1000,
+    condition: entry.weather[0].main,
+    description: entry.weather[0].description,
+    temperature: entry.main.temp,
+    humidity: entry.main.humidity,
+    windSpeed: entry.wind.speed,
+    precipitationChance: entry.pop ?? 0,
+  })),
+});
+
+// A location is a city name or { lat, lon }
+const locationParams = (location) => (typeof location === "string" ? { q: location } : { lat: location.lat, lon: location.lon });
+
+export const createOpenWeatherProvider = ({ endpoint = OPENWEATHER_ENDPOINT, apiKey }) => {
+  const request = async (path, location) => {
+    const params = new URLSearchParams({ ...locationParams(location), appid: apiKey, units: "metric" });
+    const response = await fetch(`${endpoint.replace(/\/$/, "")}/${path}?${params}`);
+    const data = await response.json().catch(() => null);
+
+    // cod is a number for current weather and a string for forecasts
+    if (!response.ok || !data || Number(data.cod) !== 200) {
+      const error = new Error(data?.message || `Weather service error (${response.status})`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  };
+
+  return {
+    id: "openweather",
+    name: "OpenWeather",
+    getCurrentWeather: async (location) => fromOpenWeather(await request("weather", location)),
+    getForecast: async (location) => fromOpenWeatherForecast(await request("forecast", location)),
+  };
+};
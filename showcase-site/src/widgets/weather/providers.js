@@ -0,0 +1,34 @@
+import { createOpenWeatherProvider, OPENWEATHER_ENDPOINT } from "./openWeather";
+import { createMockWeatherProvider } from "./mockWeather";
+
+// Weather providers by id. A provider is { id, name, getCurrentWeather(location), getForecast(location) },
+// where a location is a city name or { lat, lon }. They resolve to reports shaped like
+// fromOpenWeather's and fromOpenWeatherForecast's, and reject with an Error (with a `status` of 404
+// when the city doesn't exist).
+const providers = {
+  openweather: createOpenWeatherProvider,
+  mock: createMockWeatherProvider,
+};
+
+export const registerWeatherProvider = (id, createProvider) => {
+  providers[id] = createProvider;
+};
+
+// Configured in .env (see .env.example):
+//   VITE_WEATHER_PROVIDER      openweather (default) or mock
+//   VITE_OPENWEATHER_API_KEY   your OpenWeather key
+//   VITE_OPENWEATHER_ENDPOINT  e.g. http://localhost:8787/data/2.5 for the stub server
+export const getWeatherConfig = () => ({
+  provider: import.meta.env.VITE_WEATHER_PROVIDER || "openweather",
+  apiKey: import.meta.env.VITE_OPENWEATHER_API_KEY || "",
+  endpoint: import.meta.env.VITE_OPENWEATHER_ENDPOINT || OPENWEATHER_ENDPOINT,
+});
+
+// Without an API key OpenWeather can't be used, so sample data is shown instead of an error
+export const getWeatherProvider = (config = getWeatherConfig()) => {
+  const usable = providers[config.provider] && !(config.provider === "openweather" && !config.apiKey);
+  if (!usable) {
+    return { ...createMockWeatherProvider(config), isFallback: true };
+  }
+  return providers[config.provider](config);
+};
@@ -0,0 +1,56 @@
+import { readJSON, writeJSON } from "../../storage";
+import { getWeatherProvider } from "./providers";
+
+// Reports are reused for this long before the provider is asked again
+export const CACHE_MAX_AGE = 10 * 60 * 1000;
+
+// Reports are kept for the most recently fetched locations only. Old ones aren't dropped on age,
+// since they are what's shown when the provider is down.
+const CACHE_SIZE = 20;
+
+// A city name or { lat, lon }, as a cache key
+export const locationKey = (location) => {
+  return typeof location === "string" ? location.trim().toLowerCase() : `${location.lat},${location.lon}`;
+};
+
+const readCache = (cacheName, location) => readJSON(cacheName, {})[locationKey(location)] ?? null;
+
+const writeCache = (cacheName, location, entry) => {
+  const entries = Object.entries({ ...readJSON(cacheName, {}), [locationKey(location)]: entry })
+    .sort(([, a], [, b]) => b.fetchedAt - a.fetchedAt)
+    .slice(0, CACHE_SIZE);
+  writeJSON(cacheName, Object.fromEntries(entries));
+};
+
+// Resolves to { report, fetchedAt, provider, stale, error }. A recent report is served from the
+// cache; when the provider fails, the last report for the location is returned with stale set and
+// the error attached. Throws when there is nothing to show.
+const fetchCached = async (cacheName, location, fetchReport, { provider, maxAge }) => {
+  // Another provider's report (sample data, say) is never passed off as this one's
+  const saved = readCache(cacheName, location);
+  const cached = saved?.provider === provider.id ? saved : null;
+  if (cached && Date.now() - cached.fetchedAt < maxAge) {
+    return { ...cached, provider, stale: false };
+  }
+
+  try {
+    const entry = { report: await fetchReport(location), fetchedAt: Date.now(), provider: provider.id };
+    writeCache(cacheName, location, entry);
+    return { ...entry, provider, stale: false };
+  } catch (error) {
+    // An unknown city is an answer, not an outage
+    if (!cached || error.status === 404) throw error;
+    console.error(`Error fetching weather for ${locationKey(location)}, showing the last report:`, error);
+    return { ...cached, provider, stale: true, error };
+  }
+};
+
+// Current weather for a city name or { lat, lon }
+export const getWeather = (location, { provider = getWeatherProvider(), maxAge = CACHE_MAX_AGE } = {}) => {
+  return fetchCached("weatherCache", location, provider.getCurrentWeather, { provider, maxAge });
+};
+
+// Forecast in 3-hour steps for the next 5 days
+export const getForecast = (location, { provider = getWeatherProvider(), maxAge = CACHE_MAX_AGE } = {}) => {
+  return fetchCached("weatherForecastCache", location, provider.getForecast, { provider, maxAge });
+};
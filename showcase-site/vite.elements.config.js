@@ -0,0 +1,28 @@
+import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+import tailwindcss from '@tailwindcss/vite'
+import { shadowStyles } from './vite.overlay.config.js'
+
+// Every widget as a custom element, in one script for pages that don't use React:
+// npm run build:elements, then <script src="hackiethon-widgets.js"></script>
+export default defineConfig({
+  plugins: [
+    shadowStyles(),
+    react(),
+    tailwindcss(),
+  ],
+  define: {
+    'process.env.NODE_ENV': JSON.stringify('production'),
+  },
+  // Images are inlined into the script, as in the overlay build
+  publicDir: false,
+  build: {
+    outDir: 'dist-elements',
+    lib: {
+      entry: 'src/elements/main.js',
+      name: 'HackiethonWidgets',
+      formats: ['iife'],
+      fileName: () => 'hackiethon-widgets.js',
+    },
+  },
+})
@@ -0,0 +1,45 @@
+import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+import tailwindcss from '@tailwindcss/vite'
+import { shadowStyles } from './vite.overlay.config.js'
+
+// Content scripts and extension pages can't share chunks, so each is its own single-file bundle
+// and this config is run once per entry with --mode. See the build:extension script.
+const ENTRIES = {
+  content: { entry: 'src/extension/content.js', fileName: 'content.js' },
+  popup: { entry: 'src/extension/popup.jsx', fileName: 'popup.js' },
+  background: { entry: 'src/extension/background.js', fileName: 'background.js' },
+}
+
+// Manifest V3 browser extension in dist-extension/, for "Load unpacked" in chrome://extensions
+export default defineConfig(({ mode }) => {
+  const target = ENTRIES[mode]
+  if (!target) {
+    throw new Error(`Build the extension with --mode ${Object.keys(ENTRIES).join(', ')}`)
+  }
+
+  return {
+    plugins: [
+      // The content script styles its shadow root; the popup is an ordinary page with a stylesheet
+      ...(mode === 'content' ? [shadowStyles()] : []),
+      react(),
+      tailwindcss(),
+    ],
+    define: {
+      'process.env.NODE_ENV': JSON.stringify('production'),
+    },
+    // manifest.json and popup.html, copied once alongside the content script
+    publicDir: mode === 'content' ? 'extension' : false,
+    build: {
+      outDir: 'dist-extension',
+      emptyOutDir: mode === 'content',
+      lib: {
+        entry: target.entry,
+        name: 'HackiethonExtension',
+        formats: ['iife'],
+        fileName: () => target.fileName,
+        cssFileName: mode,
+      },
+    },
+  }
+})
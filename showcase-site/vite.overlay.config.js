@@ -0,0 +1,79 @@
+import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+import tailwindcss from '@tailwindcss/vite'
+import { readFileSync } from 'node:fs'
+
+const STYLES_MODULE = new URL('./src/shadowStyles.js', import.meta.url).pathname
+const SHADOW_STYLE_PREFIX = '\0shadow-style:'
+
+// Turns `import './Dropzone.css'` into code that hands the stylesheet to src/shadowStyles.js,
+// which adds it to the shadow root. Vite would otherwise emit a .css file for the page's <head>.
+// Also used by the extension's content script and the custom elements build.
+export const shadowStyles = () => ({
+  name: 'hackiethon-shadow-styles',
+  enforce: 'pre',
+  async resolveId(source, importer, options) {
+    // @import inside a stylesheet is left to the CSS pipeline
+    if (!importer || importer.startsWith('\0') || /\.css($|\?)/.test(importer)) return null
+    if (!/\.css$/.test(source)) return null
+    const resolved = await this.resolve(source, importer, { ...options, skipSelf: true })
+    // The .js suffix keeps the CSS plugins from treating the wrapper itself as a stylesheet
+    return resolved && `${SHADOW_STYLE_PREFIX}${resolved.id}.js`
+  },
+  load(id) {
+    if (!id.startsWith(SHADOW_STYLE_PREFIX)) return null
+    const file = id.slice(SHADOW_STYLE_PREFIX.length, -'.js'.length)
+    return [
+      `import css from ${JSON.stringify(`${file}?inline`)}`,
+      `import { addStyle } from ${JSON.stringify(STYLES_MODULE)}`,
+      'addStyle(css)',
+    ].join('\n')
+  },
+})
+
+const { version } = JSON.parse(readFileSync(new URL('./package.json', import.meta.url)))
+
+const USERSCRIPT_HEADER = `// ==UserScript==
+// @name         Hackiethon widget layer
+// @namespace    https://github.com/HackMelbourne/Hackiethon25
+// @version      ${version}
+// @description  Drag Hackiethon widgets onto any website
+// @match        *://*/*
+// @grant        none
+// @noframes
+// ==/UserScript==
+`
+
+// Also writes the bundle out as a userscript for Tampermonkey / Violentmonkey
+const userscript = () => ({
+  name: 'hackiethon-userscript',
+  generateBundle(_, bundle) {
+    const script = bundle['hackiethon-overlay.js']
+    this.emitFile({ type: 'asset', fileName: 'hackiethon-overlay.user.js', source: `${USERSCRIPT_HEADER}\n${script.code}` })
+  },
+})
+
+// The widget layer as a single script to inject into any page: npm run build:overlay
+export default defineConfig({
+  plugins: [
+    shadowStyles(),
+    react(),
+    tailwindcss(),
+    userscript(),
+  ],
+  // Library builds leave this to the consumer; the injected script is the consumer
+  define: {
+    'process.env.NODE_ENV': JSON.stringify('production'),
+  },
+  // Images are inlined into the script; public/ only serves the showcase site
+  publicDir: false,
+  build: {
+    outDir: 'dist-overlay',
+    lib: {
+      entry: 'src/overlay/main.jsx',
+      name: 'HackiethonOverlay',
+      formats: ['iife'],
+      fileName: () => 'hackiethon-overlay.js',
+    },
+  },
+})